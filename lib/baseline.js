@@ -0,0 +1,178 @@
+/**
+ * Rolling per-outcome activity baselines
+ *
+ * Fixed thresholds mean different things on a market with thousands of
+ * traders an hour and on a niche one with a handful a day. Every BUY fill
+ * we decode is folded into hourly buckets per outcome token, and the current
+ * hour is compared with the outcome's own recent hours:
+ *
+ *   wallets     unique buying wallets in the hour (quiet hours count as 0)
+ *   freshShare  share of the hour's buyers with a known freshness check
+ *               (bets of minBetAmount+) that were fresh
+ *   avgTicket   USDC per buy
+ *
+ * Only the open bucket keeps its wallets; closed buckets are reduced to counts.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Smallest standard deviation a z-score divides by, so an outcome that has
+// been perfectly steady doesn't turn one extra wallet into an infinite z
+const MIN_STD = {
+  wallets: 1,
+  freshShare: 0.05,
+  avgTicket: 10,
+};
+
+function describe(values) {
+  if (!values.length) return { mean: null, std: null };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+function zScore(value, { mean, std }, minStd) {
+  if (value === null || mean === null) return null;
+  return (value - mean) / Math.max(std, minStd);
+}
+
+function freshShare(bucket) {
+  return bucket.checked > 0 ? bucket.fresh / bucket.checked : null;
+}
+
+function avgTicket(bucket) {
+  return bucket.buys > 0 ? bucket.usdc / bucket.buys : null;
+}
+
+function closeBucket(bucket) {
+  const { walletMap, ...counts } = bucket;
+  return counts;
+}
+
+function createBaselines({ bucketMs = HOUR_MS } = {}) {
+  // tokenId → buckets, oldest first; the last one may still be open
+  const series = new Map();
+
+  /**
+   * Fold one BUY into its hour. `fresh` is true/false when the wallet's
+   * freshness is known and null otherwise.
+   */
+  function record(tokenId, timestamp, { wallet, usdc, shares, fresh, txHash }) {
+    if (!series.has(tokenId)) series.set(tokenId, []);
+    const buckets = series.get(tokenId);
+    const t = timestamp - (timestamp % bucketMs);
+
+    let bucket = buckets[buckets.length - 1];
+    if (bucket && bucket.t > t) return; // late fill for an hour already closed
+    if (!bucket || bucket.t !== t) {
+      if (bucket) buckets[buckets.length - 1] = closeBucket(bucket);
+      bucket = { t, wallets: 0, fresh: 0, checked: 0, buys: 0, usdc: 0, shares: 0, walletMap: new Map() };
+      buckets.push(bucket);
+    }
+
+    bucket.buys++;
+    bucket.usdc += usdc;
+    bucket.shares += shares || 0;
+
+    const key = wallet.toLowerCase();
+    let entry = bucket.walletMap.get(key);
+    if (!entry) {
+      entry = { address: wallet, amount: 0, shares: 0, fresh: null, timestamp, txHash };
+      bucket.walletMap.set(key, entry);
+      bucket.wallets++;
+    }
+    entry.amount += usdc;
+    entry.shares += shares || 0;
+    entry.txHash = txHash || entry.txHash;
+    if (fresh !== null && fresh !== undefined) setFreshness(tokenId, wallet, fresh);
+  }
+
+  /** Freshness learned after the wallet's buy was recorded (first answer wins) */
+  function setFreshness(tokenId, wallet, fresh) {
+    const buckets = series.get(tokenId);
+    const open = buckets && buckets[buckets.length - 1];
+    const entry = open && open.walletMap && open.walletMap.get(wallet.toLowerCase());
+    if (!entry || entry.fresh !== null) return;
+    entry.fresh = fresh;
+    open.checked++;
+    if (fresh) open.fresh++;
+  }
+
+  /**
+   * The open hour against the outcome's history within `windowMs`, or null
+   * when there is nothing this hour or no earlier hour to compare with.
+   *
+   * Returns { hours, current, baseline, z, percentile } where `current` and
+   * each `baseline` metric are per hour and `percentile.wallets` is the share
+   * of past hours that had fewer buyers than this one.
+   */
+  function snapshot(tokenId, now, { windowMs }) {
+    const buckets = series.get(tokenId);
+    if (!buckets || !buckets.length) return null;
+
+    const open = buckets[buckets.length - 1];
+    if (open.t !== now - (now % bucketMs)) return null;
+
+    const from = Math.max(now - windowMs, buckets[0].t);
+    const past = buckets.filter(b => b.t >= from && b.t < open.t);
+    const hours = Math.floor((open.t - from) / bucketMs);
+    if (hours < 1) return null;
+
+    // Hours without a single buy are real data points for wallets per hour
+    const walletCounts = past.map(b => b.wallets);
+    while (walletCounts.length < hours) walletCounts.push(0);
+
+    const baseline = {
+      wallets: describe(walletCounts),
+      freshShare: describe(past.map(freshShare).filter(v => v !== null)),
+      avgTicket: describe(past.map(avgTicket).filter(v => v !== null)),
+    };
+    const current = {
+      t: open.t,
+      wallets: open.wallets,
+      checked: open.checked,
+      buys: open.buys,
+      usdc: open.usdc,
+      avgPrice: open.shares > 0 ? open.usdc / open.shares : null,
+      freshShare: freshShare(open),
+      avgTicket: avgTicket(open),
+    };
+
+    return {
+      hours,
+      current,
+      baseline,
+      z: {
+        wallets: zScore(current.wallets, baseline.wallets, MIN_STD.wallets),
+        freshShare: zScore(current.freshShare, baseline.freshShare, MIN_STD.freshShare),
+        avgTicket: zScore(current.avgTicket, baseline.avgTicket, MIN_STD.avgTicket),
+      },
+      percentile: {
+        wallets: walletCounts.filter(n => n < current.wallets).length / walletCounts.length,
+      },
+    };
+  }
+
+  /** Buyers in the outcome's open hour, biggest first */
+  function currentWallets(tokenId) {
+    const buckets = series.get(tokenId);
+    const open = buckets && buckets[buckets.length - 1];
+    if (!open || !open.walletMap) return [];
+    return [...open.walletMap.values()].sort((a, b) => b.amount - a.amount);
+  }
+
+  function prune(cutoff) {
+    for (const [tokenId, buckets] of series.entries()) {
+      const kept = buckets.filter(b => b.t > cutoff);
+      if (kept.length) {
+        series.set(tokenId, kept);
+      } else {
+        series.delete(tokenId);
+      }
+    }
+  }
+
+  return { bucketMs, record, setFreshness, snapshot, currentWallets, prune };
+}
+
+module.exports = { createBaselines };
@@ -0,0 +1,79 @@
+/**
+ * Block timestamp lookups
+ *
+ * Bets are timed by the block they landed in, not by when we processed them,
+ * so backfills and catch-ups keep their real spacing. Lookups for a set of
+ * blocks are issued together (ethers folds same-tick calls into one JSON-RPC
+ * batch) and every result is cached by block number.
+ */
+
+function createBlockClock(provider, { batchSize = 50, cacheSize = 10000 } = {}) {
+  const cache = new Map(); // blockNumber → timestamp (ms)
+  let latest = 0;
+
+  function remember(blockNumber, timestampMs) {
+    cache.set(blockNumber, timestampMs);
+    if (timestampMs > latest) latest = timestampMs;
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+
+  /**
+   * Resolve timestamps (ms) for many blocks at once → Map<blockNumber, ms>
+   */
+  async function getTimestamps(blockNumbers) {
+    const missing = [...new Set(blockNumbers)].filter(n => !cache.has(n));
+
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      const blocks = await Promise.all(batch.map(n => provider.getBlock(n)));
+      blocks.forEach((block, j) => {
+        if (!block) throw new Error(`Block ${batch[j]} not found`);
+        remember(batch[j], block.timestamp * 1000);
+      });
+    }
+
+    return new Map(blockNumbers.map(n => [n, cache.get(n)]));
+  }
+
+  async function getTimestamp(blockNumber) {
+    return (await getTimestamps([blockNumber])).get(blockNumber);
+  }
+
+  /**
+   * Binary search for the first block at or after `timeMs`, up to `headBlock`
+   */
+  async function findBlock(timeMs, headBlock) {
+    let low = 0;
+    let high = headBlock;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await getTimestamp(mid) < timeMs) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * The last block at or before `timeMs`, up to `headBlock` (-1 if every block
+   * is newer)
+   */
+  async function findLastBlock(timeMs, headBlock) {
+    const after = await findBlock(timeMs + 1, headBlock);
+    return await getTimestamp(after) <= timeMs ? after : after - 1;
+  }
+
+  return {
+    getTimestamps,
+    getTimestamp,
+    findBlock,
+    findLastBlock,
+    /** Newest block time seen so far: the chain's notion of "now" */
+    now: () => latest,
+  };
+}
+
+module.exports = { createBlockClock };
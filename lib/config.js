@@ -0,0 +1,532 @@
+/**
+ * Configuration loading
+ *
+ * Settings come from three layers, later ones winning:
+ *   1. defaults() below
+ *   2. a config file (JSON or YAML): $POLYFRESHY_CONFIG, or the first of
+ *      polyfreshy.config.json / .yaml / .yml next to server.js
+ *   3. environment variables: POLYFRESHY_<SETTING_IN_SNAKE_CASE> for every
+ *      setting (JSON for arrays/objects), plus the historical aliases in ENV_ALIASES
+ *
+ * The merged result is validated against SCHEMA and any problem stops startup
+ * with a list of what's wrong. watchConfig() re-reads the file while running
+ * and applies changes to `reload: true` settings in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { RULE_NAMES } = require('./scoring');
+
+const CONFIG_FILES = ['polyfreshy.config.json', 'polyfreshy.config.yaml', 'polyfreshy.config.yml'];
+
+const ENV_ALIASES = {
+  rpcUrl: 'POLYGON_RPC_URL',
+  port: 'PORT',
+  dbPath: 'POLYFRESHY_DB',
+  adminToken: 'ADMIN_TOKEN',
+  explorerApiKey: 'ETHERSCAN_API_KEY',
+};
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const HASH = /^0x[0-9a-fA-F]{64}$/;
+
+const SCHEMA = {
+  rpcUrl: { type: 'string' },
+  // Pool of endpoints used instead of rpcUrl when set (lib/rpc.js); requests
+  // are spread by weight and fail over when one errors or is rate-limited
+  rpcUrls: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        url: { type: 'string' },
+        weight: { type: 'number', min: 0, optional: true },
+      },
+    },
+  },
+  rpcTimeoutMs: { type: 'integer', min: 1000 },
+  rpcHealthCheckMs: { type: 'integer', min: 1000 },
+  // An endpoint this many blocks behind the best head counts as unhealthy
+  rpcMaxLagBlocks: { type: 'integer', min: 1 },
+  // Blocks this deep are final; newer ones are checked for reorgs (lib/reorgs.js)
+  confirmations: { type: 'integer', min: 0 },
+  // WebSocket endpoint to subscribe to fills on instead of polling (lib/stream.js)
+  wsUrl: { type: 'string', nullable: true },
+  // A subscription with no new head for this long is reconnected
+  wsStaleMs: { type: 'integer', min: 1000 },
+  // GET /readyz fails while the scan is more than this many blocks behind the head
+  readyMaxLagBlocks: { type: 'integer', min: 1, reload: true },
+  // Contracts to watch; `kind` picks the ABI and decoding rules in VENUE_KINDS
+  exchanges: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      properties: {
+        venue: { type: 'string' },
+        kind: { type: 'string', enum: ['exchange', 'adapter'] },
+        address: { type: 'string', pattern: ADDRESS },
+      },
+    },
+  },
+  // What a cluster is counted over: one outcome token, both sides of a market,
+  // or every market of an event
+  detectionScope: { type: 'string', enum: ['outcome', 'market', 'event'] },
+  freshWalletThreshold: { type: 'integer', min: 1, reload: true },
+  minBetAmount: { type: 'number', min: 0, reload: true }, // Minimum bet in USD for fresh wallet cluster
+  anyWalletThreshold: { type: 'integer', min: 1, reload: true },
+  anyWalletMinBet: { type: 'number', min: 0, reload: true },
+  // Freshness classifier (lib/freshness.js): a nonce (the wallet's, or its
+  // Safe owner's) of at most maxFreshTxCount, a first deposit and first fill
+  // within freshMaxAgeMs of the trade, and the score that makes a wallet fresh
+  maxFreshTxCount: { type: 'integer', min: 0, reload: true },
+  freshMaxAgeMs: { type: 'integer', min: 60 * 1000, reload: true },
+  freshScoreThreshold: { type: 'integer', min: 1, max: 100, reload: true },
+  timeWindowMs: { type: 'integer', min: 60 * 1000, reload: true },
+  // After a cluster decays below its threshold, how long before the same
+  // outcome (or market/event) can alert again
+  alertCooldownMs: { type: 'integer', min: 0, reload: true },
+  pollIntervalMs: { type: 'integer', min: 1000, reload: true },
+  startBlocksBack: { type: 'integer', min: 0 },
+  // Blocks per getLogs range in the live scan; catchUpChunkSize once more than
+  // that many blocks are left to scan (after downtime or a slow poll)
+  scanChunkSize: { type: 'integer', min: 1, reload: true },
+  catchUpChunkSize: { type: 'integer', min: 1, reload: true },
+  // Wallet lookups done ahead of each chunk (lib/pipeline.js): nonce and owner
+  // checks go out lookupBatchSize wallets at a time as JSON-RPC batches,
+  // funding traces at most lookupConcurrency at a time
+  lookupBatchSize: { type: 'integer', min: 1, reload: true },
+  lookupConcurrency: { type: 'integer', min: 1, reload: true },
+  // Exit alerts: a wallet has exited once it sold exitSoldPercent of its shares,
+  // and a cluster is exiting when exitWalletPercent of its wallets did so
+  // within exitWindowMs
+  exitSoldPercent: { type: 'number', min: 1, max: 100, reload: true },
+  exitWalletPercent: { type: 'number', min: 1, max: 100, reload: true },
+  exitWindowMs: { type: 'integer', min: 60 * 1000, reload: true },
+  // Adaptive alerts (lib/baseline.js): compare each outcome's current hour with
+  // its own last baselineWindowMs once it has baselineMinHours of history, and
+  // alert when a metric is baselineZScore standard deviations above normal with
+  // at least baselineMinWallets behind it
+  baselineAlerts: { type: 'boolean', reload: true },
+  baselineWindowMs: { type: 'integer', min: 2 * 60 * 60 * 1000, reload: true },
+  baselineMinHours: { type: 'integer', min: 1, reload: true },
+  baselineZScore: { type: 'number', min: 0.5, reload: true },
+  baselineMinWallets: { type: 'integer', min: 1, reload: true },
+  // How long per-outcome price history from fills is kept
+  priceHistoryMs: { type: 'integer', min: 60 * 60 * 1000, reload: true },
+  // How long every decoded fill is kept for wallet profiles; null keeps them all
+  fillRetentionMs: { type: 'integer', min: 60 * 60 * 1000, nullable: true, reload: true },
+  // How often unresolved alerts' markets are checked against Gamma
+  resolutionCheckIntervalMs: { type: 'integer', min: 60 * 1000, reload: true },
+  // How long Gamma market info (end date, liquidity, volume) is reused before
+  // it is looked up again
+  marketInfoTtlMs: { type: 'integer', min: 60 * 1000, reload: true },
+  // Case-insensitive regexes; clusters on markets whose question matches are skipped
+  marketFilterPatterns: { type: 'array', items: { type: 'string', regex: true }, reload: true },
+  // Allow/deny rules tried before marketFilterPatterns (see lib/filters.js)
+  marketFilters: {
+    type: 'array',
+    reload: true,
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', optional: true },
+        action: { type: 'string', enum: ['allow', 'deny'] },
+        alertTypes: { type: 'array', items: { type: 'string', enum: ['fresh', 'volume', 'anomaly'] }, optional: true },
+        question: { type: 'array', items: { type: 'string', regex: true }, optional: true },
+        tags: { type: 'array', items: { type: 'string' }, optional: true },
+        slugs: { type: 'array', items: { type: 'string' }, optional: true },
+        conditionIds: { type: 'array', items: { type: 'string' }, optional: true },
+        endsWithinMs: { type: 'integer', optional: true },
+        endsAfterMs: { type: 'integer', optional: true },
+        minLiquidity: { type: 'number', min: 0, optional: true },
+        maxLiquidity: { type: 'number', min: 0, optional: true },
+        minVolume: { type: 'number', min: 0, optional: true },
+        maxVolume: { type: 'number', min: 0, optional: true },
+      },
+    },
+  },
+  // How long a suppressed cluster stays listed after it was last held back
+  suppressionRetentionMs: { type: 'integer', min: 60 * 60 * 1000, reload: true },
+  port: { type: 'integer', min: 1, max: 65535 },
+  dbPath: { type: 'string' },
+  // Bearer token required by /admin routes (disabled when unset)
+  adminToken: { type: 'string', nullable: true },
+  // Replays scan history, so they can afford bigger getLogs ranges than the live loop
+  replayChunkSize: { type: 'integer', min: 1, reload: true },
+  // Funding trace (lib/funding.js): how far back to look for a wallet's first deposit
+  fundingLookbackBlocks: { type: 'integer', min: 1 },
+  fundingChunkBlocks: { type: 'integer', min: 1 },
+  // Empty windows in a row, once a deposit was found, that end a trace early;
+  // null scans the whole lookback so an older deposit is never missed
+  fundingMaxEmptyWindows: { type: 'integer', min: 1, nullable: true },
+  // Etherscan-compatible explorer, tried before RPC logs when a key is set
+  explorerApiUrl: { type: 'string' },
+  explorerApiKey: { type: 'string', nullable: true },
+  // Funding graph (lib/funding-graph.js): hops to follow, addresses never to walk
+  // through, and the smallest group reported as a funding cluster
+  fundingMaxHops: { type: 'integer', min: 1, max: 10 },
+  fundingStopList: { type: 'array', items: { type: 'string', pattern: ADDRESS } },
+  fundingClusterMinWallets: { type: 'integer', min: 2, reload: true },
+  // Factories that tell a contract wallet's owner (lib/owners.js): either a
+  // creation event (`event` is an ABI fragment, proxyArg/ownerArg its parameter
+  // names) or, with initCodeHash, a CREATE2 address salted with the owner
+  walletFactories: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        address: { type: 'string', pattern: ADDRESS },
+        event: { type: 'string', optional: true },
+        proxyArg: { type: 'string', optional: true },
+        ownerArg: { type: 'string', optional: true },
+        initCodeHash: { type: 'string', pattern: HASH, patternName: 'hash', optional: true },
+      },
+    },
+  },
+  // Extra exchange/bridge addresses: { "0x…": { "type": "exchange", "name": "Kraken" } }
+  knownFunders: {
+    type: 'object',
+    keyPattern: ADDRESS,
+    values: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['exchange', 'bridge'] },
+        name: { type: 'string' },
+      },
+    },
+  },
+  // Suspicion score rules (lib/scoring.js), each overriding that rule's defaults:
+  // { "tightTiming": { "threshold": 15 }, "similarAmounts": { "enabled": false } }
+  scoringRules: {
+    type: 'object',
+    keys: RULE_NAMES,
+    values: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', optional: true },
+        weight: { type: 'number', min: 0, max: 100, optional: true },
+        threshold: { type: 'number', min: 0, optional: true },
+        tolerance: { type: 'number', min: 0, max: 1, optional: true },
+        minWallets: { type: 'integer', min: 1, optional: true },
+      },
+    },
+    reload: true,
+  },
+  // Alert channels (see lib/notifiers.js)
+  notifiers: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['discord', 'slack', 'telegram', 'webhook'] },
+        url: { type: 'string', optional: true },
+        botToken: { type: 'string', optional: true },
+        chatId: { type: 'string', optional: true },
+        minScore: { type: 'number', optional: true },
+        alertTypes: { type: 'array', items: { type: 'string' }, optional: true },
+        sendUpdates: { type: 'boolean', optional: true },
+        updateIntervalMs: { type: 'integer', min: 0, optional: true },
+      },
+    },
+  },
+};
+
+function defaults(rootDir) {
+  return {
+    rpcUrl: 'https://polygon-rpc.com',
+    rpcUrls: [],
+    rpcTimeoutMs: 15 * 1000,
+    rpcHealthCheckMs: 30 * 1000,
+    rpcMaxLagBlocks: 10,
+    confirmations: 10,
+    wsUrl: null,
+    wsStaleMs: 60 * 1000,
+    readyMaxLagBlocks: 100,
+    exchanges: [
+      { venue: 'ctf', kind: 'exchange', address: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E' },
+      { venue: 'negrisk', kind: 'exchange', address: '0xC5d563A36AE78145C45a50134d48A1215220f80a' },
+      { venue: 'negrisk-adapter', kind: 'adapter', address: '0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296' },
+    ],
+    detectionScope: 'outcome',
+    freshWalletThreshold: 10,
+    minBetAmount: 1000,
+    // New filter: 20+ wallets (any) betting $100+
+    anyWalletThreshold: 20,
+    anyWalletMinBet: 100,
+    maxFreshTxCount: 5,
+    freshMaxAgeMs: 2 * 24 * 60 * 60 * 1000,
+    freshScoreThreshold: 60,
+    timeWindowMs: 24 * 60 * 60 * 1000,
+    alertCooldownMs: 60 * 60 * 1000,
+    pollIntervalMs: 30 * 1000,
+    startBlocksBack: 50,
+    scanChunkSize: 10,
+    catchUpChunkSize: 100,
+    lookupBatchSize: 50,
+    lookupConcurrency: 4,
+    exitSoldPercent: 50,
+    exitWalletPercent: 50,
+    exitWindowMs: 30 * 60 * 1000,
+    baselineAlerts: true,
+    baselineWindowMs: 3 * 24 * 60 * 60 * 1000,
+    baselineMinHours: 24,
+    baselineZScore: 4,
+    baselineMinWallets: 5,
+    priceHistoryMs: 3 * 24 * 60 * 60 * 1000,
+    resolutionCheckIntervalMs: 15 * 60 * 1000,
+    marketInfoTtlMs: 15 * 60 * 1000,
+    fillRetentionMs: null,
+    // Filter out ALL crypto short-term price markets (1min, 5min, 15min, up/down)
+    marketFilterPatterns: [
+      // Time-based patterns
+      '\\d+[\\s-]?min',
+      '\\d+[\\s-]?minute',
+      '1-min',
+      '5-min',
+      '15-min',
+      // Up or down patterns
+      'up or down',
+      'higher or lower',
+      'above or below',
+      // Price at specific time
+      'price.*\\d+[:\\d]*\\s*(am|pm|utc|et|pt)',
+      'at \\d+[:\\d]*\\s*(am|pm|utc|et|pt)',
+      // Crypto + short term indicators
+      '(bitcoin|btc|ethereum|eth|solana|sol|doge|xrp|crypto).*\\d+[:\\d]*\\s*(am|pm|utc)',
+      '(bitcoin|btc|ethereum|eth|solana|sol|doge|xrp|crypto).*(up|down|higher|lower)',
+    ],
+    marketFilters: [],
+    suppressionRetentionMs: 7 * 24 * 60 * 60 * 1000,
+    port: 3000,
+    dbPath: path.join(rootDir, 'data', 'polyfreshy.db'),
+    adminToken: null,
+    replayChunkSize: 100,
+    fundingLookbackBlocks: 200000, // ~5 days of Polygon blocks
+    fundingChunkBlocks: 5000,
+    fundingMaxEmptyWindows: null,
+    explorerApiUrl: 'https://api.etherscan.io/v2/api?chainid=137',
+    explorerApiKey: null,
+    knownFunders: {},
+    // Safes answer getOwners() themselves; proxy wallets need their factory
+    walletFactories: [
+      {
+        name: 'Polymarket proxy factory',
+        address: '0xaB45c5A4B0c941a2F231C04C3f49182e1A254052',
+        initCodeHash: '0xd21df8dc65880a8606f09fe0ce3df9b8869287ab0b058be05aa9e8af6330a00b',
+      },
+    ],
+    fundingMaxHops: 3,
+    fundingStopList: [],
+    fundingClusterMinWallets: 3,
+    scoringRules: {},
+    notifiers: [],
+  };
+}
+
+// Channels configured purely through env vars, added to whatever the file lists
+function notifiersFromEnv(env) {
+  return [
+    env.DISCORD_WEBHOOK_URL && { type: 'discord', url: env.DISCORD_WEBHOOK_URL, sendUpdates: true },
+    env.SLACK_WEBHOOK_URL && { type: 'slack', url: env.SLACK_WEBHOOK_URL },
+    env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID && {
+      type: 'telegram',
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      sendUpdates: true,
+    },
+    env.ALERT_WEBHOOK_URL && { type: 'webhook', url: env.ALERT_WEBHOOK_URL, sendUpdates: true },
+  ].filter(Boolean);
+}
+
+class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid configuration (${source}):\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function validate(value, rule, at, problems) {
+  if (value === null && rule.nullable) return;
+
+  const actual = typeOf(value);
+  const typeOk = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+  if (!typeOk) {
+    problems.push(`${at} must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}, got ${actual}`);
+    return;
+  }
+
+  if (rule.min !== undefined && value < rule.min) problems.push(`${at} must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) problems.push(`${at} must be at most ${rule.max}`);
+  if (rule.enum && !rule.enum.includes(value)) problems.push(`${at} must be one of ${rule.enum.join(', ')}`);
+  if (rule.pattern && !rule.pattern.test(value)) problems.push(`${at} is not a valid ${rule.patternName || 'address'}`);
+  if (rule.regex) {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      problems.push(`${at} is not a valid regex: ${error.message}`);
+    }
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    problems.push(`${at} needs at least ${rule.minItems} entr${rule.minItems === 1 ? 'y' : 'ies'}`);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, i) => validate(item, rule.items, `${at}[${i}]`, problems));
+  }
+
+  if (rule.type === 'object' && rule.values) {
+    for (const [key, item] of Object.entries(value)) {
+      if (rule.keyPattern && !rule.keyPattern.test(key)) problems.push(`${at}: "${key}" is not a valid address`);
+      if (rule.keys && !rule.keys.includes(key)) problems.push(`${at}: "${key}" must be one of ${rule.keys.join(', ')}`);
+      validate(item, rule.values, `${at}["${key}"]`, problems);
+    }
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    for (const [key, propRule] of Object.entries(rule.properties)) {
+      if (value[key] === undefined) {
+        if (!propRule.optional) problems.push(`${at}.${key} is required`);
+      } else {
+        validate(value[key], propRule, `${at}.${key}`, problems);
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (!rule.properties[key]) problems.push(`${at}.${key} is not a known setting`);
+    }
+  }
+}
+
+function validateConfig(config, source) {
+  const problems = [];
+  for (const [key, value] of Object.entries(config)) {
+    if (!SCHEMA[key]) {
+      problems.push(`${key} is not a known setting`);
+    } else {
+      validate(value, SCHEMA[key], key, problems);
+    }
+  }
+  if (problems.length) throw new ConfigError(source, problems);
+}
+
+function findConfigFile(rootDir, env) {
+  if (env.POLYFRESHY_CONFIG) return path.resolve(env.POLYFRESHY_CONFIG);
+  return CONFIG_FILES.map(name => path.join(rootDir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    const parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    if (parsed === null || parsed === undefined) return {};
+    if (typeOf(parsed) !== 'object') throw new Error('top level must be an object');
+    return parsed;
+  } catch (error) {
+    throw new ConfigError(file, [`could not parse: ${error.message}`]);
+  }
+}
+
+function envName(key) {
+  return 'POLYFRESHY_' + key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function parseEnvValue(raw, rule, name) {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(raw);
+      if (raw.trim() === '' || Number.isNaN(number)) {
+        throw new ConfigError('environment', [`${name} must be a number, got "${raw}"`]);
+      }
+      return number;
+    }
+    case 'boolean':
+      return raw === 'true' || raw === '1';
+    case 'array':
+    case 'object':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new ConfigError('environment', [`${name} must be JSON: ${error.message}`]);
+      }
+    default:
+      return raw;
+  }
+}
+
+function envOverrides(env) {
+  const overrides = {};
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    for (const name of [ENV_ALIASES[key], envName(key)]) {
+      if (name && env[name] !== undefined) overrides[key] = parseEnvValue(env[name], rule, name);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Build and validate the full configuration. Throws ConfigError on any problem.
+ */
+function loadConfig({ rootDir, env = process.env }) {
+  const file = findConfigFile(rootDir, env);
+  const fromFile = file ? readConfigFile(file) : {};
+  validateConfig(fromFile, file);
+
+  const config = { ...defaults(rootDir), ...fromFile, ...envOverrides(env) };
+  config.notifiers = [...config.notifiers, ...notifiersFromEnv(env)];
+  validateConfig(config, file ? `${file} + environment` : 'environment');
+
+  Object.defineProperty(config, 'file', { value: file, writable: true, enumerable: false });
+  return config;
+}
+
+/**
+ * Watch the config file and copy changed `reload: true` settings into `config`
+ * (mutated in place, so every holder of the object sees them). A file that
+ * fails validation is reported and ignored. `onChange(changedKeys)` runs after
+ * each applied reload.
+ */
+function watchConfig(config, { rootDir, env = process.env, intervalMs = 2000 }, onChange) {
+  if (!config.file) return;
+
+  fs.watchFile(config.file, { interval: intervalMs }, () => {
+    let next;
+    try {
+      next = loadConfig({ rootDir, env });
+    } catch (error) {
+      console.error(`⚠️  Config reload ignored. ${error.message}`);
+      return;
+    }
+
+    const changed = [];
+    const needsRestart = [];
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+      if (JSON.stringify(next[key]) === JSON.stringify(config[key])) continue;
+      if (rule.reload) {
+        config[key] = next[key];
+        changed.push(key);
+      } else {
+        needsRestart.push(key);
+      }
+    }
+
+    if (needsRestart.length) {
+      console.log(`⚠️  Config: ${needsRestart.join(', ')} changed but only take effect after a restart`);
+    }
+    if (changed.length) {
+      console.log(`🔄 Config reloaded: ${changed.join(', ')}`);
+      onChange(changed);
+    }
+  });
+}
+
+module.exports = { loadConfig, watchConfig, ConfigError };
@@ -0,0 +1,104 @@
+/**
+ * CTF Exchange fill decoding
+ *
+ * Every OrderFilled event describes one order being (partially) filled. One
+ * side of the order is collateral (asset ID 0 = USDC) and the other is an
+ * outcome token, so the direction falls out of which side is 0:
+ *
+ *   makerAssetId == 0  → maker paid USDC for tokens        (BUY)
+ *   takerAssetId == 0  → maker gave tokens and got USDC    (SELL)
+ *
+ * Only the maker of each event is decoded. In `matchOrders` the exchange emits
+ * one OrderFilled per maker order (taker = the taker order's owner) plus one
+ * for the taker order itself (maker = taker order owner, taker = the exchange),
+ * so every real participant shows up exactly once as a maker. Decoding the
+ * `taker` field as well would count taker orders twice.
+ */
+
+const USDC_DECIMALS = 6;
+// Conditional tokens are minted 1:1 against USDC and share its decimals
+const SHARE_DECIMALS = 6;
+
+function toUnits(amount, decimals) {
+  return Number(amount) / 10 ** decimals;
+}
+
+/**
+ * Decode an OrderFilled event's args into the maker's leg of the trade.
+ *
+ * Returns an array of legs (empty when the fill isn't collateral ↔ token) so
+ * callers can treat every venue's decoder the same way. Each leg has:
+ *   wallet, counterparty, tokenId, side ('BUY' | 'SELL'),
+ *   usdc (notional in dollars), shares, price (USDC per share), fee (raw)
+ */
+function decodeOrderFilled(args) {
+  const { maker, taker, makerAssetId, takerAssetId, makerAmountFilled, takerAmountFilled, fee } = args;
+
+  const makerIsCollateral = BigInt(makerAssetId) === 0n;
+  const takerIsCollateral = BigInt(takerAssetId) === 0n;
+
+  // Token ↔ token or USDC ↔ USDC fills don't happen on the CTF exchange
+  if (makerIsCollateral === takerIsCollateral) return [];
+
+  const side = makerIsCollateral ? 'BUY' : 'SELL';
+  const tokenId = (makerIsCollateral ? takerAssetId : makerAssetId).toString();
+  const usdcRaw = makerIsCollateral ? makerAmountFilled : takerAmountFilled;
+  const sharesRaw = makerIsCollateral ? takerAmountFilled : makerAmountFilled;
+
+  const usdc = toUnits(usdcRaw, USDC_DECIMALS);
+  const shares = toUnits(sharesRaw, SHARE_DECIMALS);
+
+  return [{
+    wallet: maker,
+    counterparty: taker,
+    tokenId,
+    side,
+    usdc,
+    shares,
+    price: shares > 0 ? usdc / shares : null,
+    // Charged in whatever the maker receives: tokens on a BUY, USDC on a SELL
+    fee: fee !== undefined ? fee.toString() : '0',
+  }];
+}
+
+/**
+ * Decode NegRisk adapter events. The adapter never trades against USDC at a
+ * price, it splits collateral into YES+NO sets and converts NO positions into
+ * YES positions on the other questions of a market. Neither is a directional
+ * bet, so these legs use their own sides ('SPLIT' / 'CONVERT') and carry the
+ * condition or market ID instead of an outcome token.
+ */
+function decodeAdapterEvent(eventName, args) {
+  if (eventName === 'PositionSplit') {
+    return [{
+      wallet: args.stakeholder,
+      counterparty: null,
+      tokenId: null,
+      conditionId: args.conditionId,
+      side: 'SPLIT',
+      usdc: toUnits(args.amount, USDC_DECIMALS),
+      shares: toUnits(args.amount, SHARE_DECIMALS),
+      price: null,
+      fee: '0',
+    }];
+  }
+
+  if (eventName === 'PositionsConverted') {
+    return [{
+      wallet: args.stakeholder,
+      counterparty: null,
+      tokenId: null,
+      marketId: args.marketId,
+      indexSet: args.indexSet.toString(),
+      side: 'CONVERT',
+      usdc: null,
+      shares: toUnits(args.amount, SHARE_DECIMALS),
+      price: null,
+      fee: '0',
+    }];
+  }
+
+  return [];
+}
+
+module.exports = { decodeOrderFilled, decodeAdapterEvent };
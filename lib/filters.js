@@ -0,0 +1,72 @@
+/**
+ * Market filter rules
+ *
+ * Decides whether a cluster on a market may alert. Rules are tried in order
+ * and the first one that matches decides: `deny` suppresses the alert,
+ * `allow` lets it through without looking further. When nothing matches the
+ * alert goes out.
+ *
+ * A rule matches when every condition it sets holds; a list condition holds
+ * when any of its entries does, and an empty list counts as unset:
+ *
+ *   alertTypes                  only for these alert types (fresh, volume, anomaly)
+ *   question                    case-insensitive regexes on the market question
+ *   tags                        Gamma tag labels or slugs, or the market category
+ *   slugs                       market or event slugs
+ *   conditionIds                condition IDs
+ *   endsWithinMs, endsAfterMs   how long after the alert the market ends
+ *   minLiquidity, maxLiquidity  USD, as Gamma last reported (see marketInfoTtlMs)
+ *   minVolume, maxVolume
+ */
+
+function lowerSet(list) {
+  return list && list.length ? new Set(list.map(item => String(item).toLowerCase())) : null;
+}
+
+/** Compile config rules once; each keeps its config entry plus a name */
+function compileRules(rules) {
+  return rules.map((rule, i) => ({
+    ...rule,
+    name: rule.name || `rule ${i + 1}`,
+    alertTypeSet: lowerSet(rule.alertTypes),
+    patterns: rule.question && rule.question.length ? rule.question.map(pattern => new RegExp(pattern, 'i')) : null,
+    tagSet: lowerSet(rule.tags),
+    slugSet: lowerSet(rule.slugs),
+    conditionSet: lowerSet(rule.conditionIds),
+  }));
+}
+
+// Missing market data never satisfies a bound
+function within(value, min, max) {
+  if (min === undefined && max === undefined) return true;
+  if (value === null || value === undefined) return false;
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+function matches(rule, market, alertType, now) {
+  if (rule.alertTypeSet && !rule.alertTypeSet.has(alertType)) return false;
+  if (rule.patterns && !rule.patterns.some(pattern => pattern.test(market.question || ''))) return false;
+
+  if (rule.tagSet) {
+    const labels = (market.tags || []).flatMap(tag => [tag.label, tag.slug]).concat(market.category);
+    if (!labels.some(label => label && rule.tagSet.has(label.toLowerCase()))) return false;
+  }
+  if (rule.slugSet && ![market.slug, market.eventSlug].some(slug => slug && rule.slugSet.has(slug.toLowerCase()))) {
+    return false;
+  }
+  if (rule.conditionSet && !(market.conditionId && rule.conditionSet.has(market.conditionId.toLowerCase()))) {
+    return false;
+  }
+
+  const endsIn = market.endDate ? market.endDate - now : null;
+  return within(endsIn, rule.endsAfterMs, rule.endsWithinMs) &&
+    within(market.liquidity, rule.minLiquidity, rule.maxLiquidity) &&
+    within(market.volume, rule.minVolume, rule.maxVolume);
+}
+
+/** The first compiled rule matching `market` for an `alertType` alert at `now`, or null */
+function firstMatch(rules, market, alertType, now) {
+  return rules.find(rule => matches(rule, market, alertType, now)) || null;
+}
+
+module.exports = { compileRules, firstMatch };
@@ -0,0 +1,79 @@
+/**
+ * Wallet freshness classifier
+ *
+ * A nonce alone misleads both ways: Polymarket proxy and Safe wallets trade
+ * through relayers and keep a nonce of 0 however old they are. Each wallet is
+ * scored 0–100 from several signals, each adding or taking away points and
+ * leaving a reason code behind:
+ *
+ *   nonce     transactions sent by the wallet, or by its owner EOA when the
+ *             wallet is a Safe or proxy (a contract's own nonce says nothing;
+ *             owners come from lib/owners.js)
+ *   deposit   age of its first USDC/POL deposit at trade time (lib/funding.js)
+ *   history   Polymarket fills we stored for it on other outcomes, and how
+ *             long ago the first one was
+ *
+ * A wallet is fresh when its score reaches the configured threshold.
+ */
+
+const REASONS = {
+  LOW_NONCE: { points: 40, text: 'few transactions' },
+  HIGH_NONCE: { points: -40, text: 'many transactions' },
+  OWNER_LOW_NONCE: { points: 40, text: 'owner has few transactions' },
+  OWNER_HIGH_NONCE: { points: -40, text: 'owner has many transactions' },
+  CONTRACT_WALLET: { points: 0, text: 'proxy wallet with unknown owner' },
+  NEW_DEPOSIT: { points: 40, text: 'first deposit is recent' },
+  OLD_DEPOSIT: { points: -30, text: 'first deposit is old' },
+  NO_DEPOSIT: { points: 0, text: 'no deposit within the funding lookback' },
+  NO_PRIOR_FILLS: { points: 20, text: 'no earlier Polymarket fills' },
+  PRIOR_FILLS: { points: -20, text: 'traded other outcomes recently' },
+  ESTABLISHED_TRADER: { points: -60, text: 'has traded on Polymarket for a while' },
+};
+
+/**
+ * Score one wallet at trade time `tradeAt`.
+ *
+ * signals: { kind, txCount, ownerTxCount, depositChecked, depositAt,
+ *            priorFills, firstSeenAt }
+ * options: { maxTxCount, maxAgeMs, threshold }
+ *
+ * Returns { score, isFresh, reasons } with reasons as codes from REASONS.
+ * When the deposit hasn't been checked it simply doesn't count yet; see
+ * depositCouldTip().
+ */
+function classifyFreshness(signals, tradeAt, { maxTxCount, maxAgeMs, threshold }) {
+  const reasons = [];
+
+  if (signals.kind === 'eoa') {
+    reasons.push(signals.txCount <= maxTxCount ? 'LOW_NONCE' : 'HIGH_NONCE');
+  } else if (signals.ownerTxCount !== null && signals.ownerTxCount !== undefined) {
+    reasons.push(signals.ownerTxCount <= maxTxCount ? 'OWNER_LOW_NONCE' : 'OWNER_HIGH_NONCE');
+  } else {
+    reasons.push('CONTRACT_WALLET');
+  }
+
+  if (signals.depositChecked) {
+    if (signals.depositAt === null || signals.depositAt === undefined) {
+      reasons.push('NO_DEPOSIT');
+    } else {
+      reasons.push(tradeAt - signals.depositAt <= maxAgeMs ? 'NEW_DEPOSIT' : 'OLD_DEPOSIT');
+    }
+  }
+
+  if (!signals.priorFills) {
+    reasons.push('NO_PRIOR_FILLS');
+  } else {
+    reasons.push(tradeAt - signals.firstSeenAt > maxAgeMs ? 'ESTABLISHED_TRADER' : 'PRIOR_FILLS');
+  }
+
+  const points = reasons.reduce((sum, code) => sum + REASONS[code].points, 0);
+  const score = Math.max(0, Math.min(100, points));
+  return { score, isFresh: score >= threshold, reasons };
+}
+
+// Whether a recent deposit could still lift an unchecked wallet to fresh
+function depositCouldTip(result, threshold) {
+  return result.score + REASONS.NEW_DEPOSIT.points >= threshold;
+}
+
+module.exports = { REASONS, classifyFreshness, depositCouldTip };
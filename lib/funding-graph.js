@@ -0,0 +1,135 @@
+/**
+ * Multi-hop funding graph
+ *
+ * Sybil rings rarely fund every wallet straight from one address; they fan out
+ * through intermediates (A → B → wallet1, A → C → wallet2). This follows each
+ * wallet's funder chain back up to `maxHops` using the funding resolver, then
+ * groups wallets whose chains meet into connected components and names the
+ * ancestor most of them share.
+ *
+ * Chains stop at labelled funders (exchanges, bridges) and at the `stopList`:
+ * thousands of unrelated wallets withdraw from Binance, so walking through it
+ * would merge everyone into one cluster.
+ */
+
+function createFundingGraph(resolver, { maxHops, stopList = [], cacheSize = 50000 }) {
+  const stopped = new Set(stopList.map(a => a.toLowerCase()));
+  // address → funding result (null = looked up, nothing found)
+  const edges = new Map();
+
+  function cache(key, funding) {
+    edges.set(key, funding);
+    // Maps iterate in insertion order, so the first key is the oldest entry
+    if (edges.size > cacheSize) edges.delete(edges.keys().next().value);
+  }
+
+  function isStop(address, funding) {
+    return stopped.has(address.toLowerCase()) || Boolean(funding && funding.label) || Boolean(resolver.labelFor(address));
+  }
+
+  /** Seed the cache with a funding lookup done elsewhere (e.g. the wallet cache) */
+  function remember(address, funding) {
+    if (funding !== undefined) cache(address.toLowerCase(), funding);
+  }
+
+  async function fundingOf(address, beforeBlock) {
+    const key = address.toLowerCase();
+    if (!edges.has(key)) {
+      cache(key, await resolver.resolve(address, beforeBlock !== undefined ? { beforeBlock } : {}));
+    }
+    return edges.get(key);
+  }
+
+  /**
+   * Funder chain for one wallet: [wallet, funder, funder's funder, ...], all
+   * lowercase. Stops at maxHops, a stop-listed funder, a cycle or a dead end.
+   */
+  async function trace(address, beforeBlock) {
+    const chain = [address.toLowerCase()];
+    let current = address;
+    let block = beforeBlock;
+
+    for (let hop = 0; hop < maxHops; hop++) {
+      const funding = await fundingOf(current, block);
+      if (!funding || isStop(funding.funder, funding)) break;
+
+      const next = funding.funder.toLowerCase();
+      if (chain.includes(next)) break;
+
+      chain.push(next);
+      current = funding.funder;
+      // The funder's own funding must predate the transfer it made
+      block = funding.block;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Group wallets into funding clusters. `wallets` is [{ address, beforeBlock }].
+   * Returns clusters of 2+ wallets, biggest first:
+   *   { ancestor, hops, walletCount, wallets, chains }
+   * where `ancestor` is the address the most member chains pass through and
+   * `hops` the furthest any of those wallets is from it.
+   */
+  async function clusters(wallets) {
+    const chains = new Map();
+    for (const { address, beforeBlock } of wallets) {
+      chains.set(address.toLowerCase(), await trace(address, beforeBlock));
+    }
+
+    // Union-find over every address on every chain
+    const parent = new Map();
+    const find = a => {
+      while (parent.get(a) !== a) {
+        parent.set(a, parent.get(parent.get(a)));
+        a = parent.get(a);
+      }
+      return a;
+    };
+    for (const chain of chains.values()) {
+      for (const address of chain) if (!parent.has(address)) parent.set(address, address);
+      for (let i = 1; i < chain.length; i++) parent.set(find(chain[i]), find(chain[0]));
+    }
+
+    const components = new Map();
+    for (const wallet of chains.keys()) {
+      const root = find(wallet);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(wallet);
+    }
+
+    const result = [];
+    for (const members of components.values()) {
+      if (members.length < 2) continue;
+
+      // For each address: which members reach it, and from how far away
+      const reach = new Map();
+      for (const wallet of members) {
+        chains.get(wallet).forEach((address, depth) => {
+          const entry = reach.get(address) || { count: 0, hops: 0 };
+          entry.count++;
+          entry.hops = Math.max(entry.hops, depth);
+          reach.set(address, entry);
+        });
+      }
+
+      const [ancestor, { count, hops }] = [...reach.entries()]
+        .sort((a, b) => b[1].count - a[1].count || a[1].hops - b[1].hops)[0];
+
+      result.push({
+        ancestor,
+        hops,
+        walletCount: count,
+        wallets: members,
+        chains: Object.fromEntries(members.map(w => [w, chains.get(w)])),
+      });
+    }
+
+    return result.sort((a, b) => b.walletCount - a.walletCount);
+  }
+
+  return { remember, trace, clusters };
+}
+
+module.exports = { createFundingGraph };
@@ -0,0 +1,235 @@
+/**
+ * Funding source resolution
+ *
+ * Finds the first incoming POL (MATIC) or USDC/USDC.e transfer to a wallet,
+ * which for a fresh wallet is whoever set it up. Two backends:
+ *
+ *   rpc       eth_getLogs only. Native POL transfers on Polygon are logged by
+ *             the 0x…1010 system contract as LogTransfer, ERC-20 transfers as
+ *             Transfer, so both can be found without an indexer. Logs are
+ *             scanned backwards from the trade in windows down to the
+ *             lookback, or, with `maxEmptyWindows` set, until that many
+ *             empty windows in a row follow the earliest transfer found. A
+ *             window the provider rejects as too wide is halved, for good.
+ *   explorer  Etherscan-compatible API (txlist + tokentx), used first when an
+ *             API key is configured, with rpc as the fallback.
+ *
+ * Known exchange hot wallets and bridges get a `label`, so callers can tell
+ * "withdrew from Binance" apart from "funded by the same private wallet".
+ */
+
+const { ethers } = require('ethers');
+
+const NATIVE_TOKEN = '0x0000000000000000000000000000000000001010';
+
+const TOKENS = {
+  '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359': { symbol: 'USDC', decimals: 6 },
+  '0x2791bca1f2de4661ed88a30c99a7a9449aa84174': { symbol: 'USDC.e', decimals: 6 },
+};
+
+// getLogs errors that mean the block range was too wide, not that the call failed
+const RANGE_REJECTED = /block range|range (is )?too (large|wide|big)|too many (blocks|results)|returned more than|exceeds? (the )?(max|limit)/i;
+const MIN_WINDOW_BLOCKS = 10;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const LOG_TRANSFER_TOPIC = ethers.id('LogTransfer(address,address,address,uint256,uint256,uint256,uint256,uint256)');
+
+// Funders that are infrastructure rather than a person. Extend with the
+// `knownFunders` setting.
+const KNOWN_FUNDERS = {
+  '0x0000000000000000000000000000000000000000': { type: 'bridge', name: 'Mint (bridge deposit)' },
+  '0xa6fa4fb5f76172d178d61b04b0ecd319c5d1c0aa': { type: 'bridge', name: 'Polygon PoS ChildChainManager' },
+  '0x9295ee1d8c5b022be115a2ad3c30c72e34e7f096': { type: 'bridge', name: 'Across SpokePool' },
+  '0x9daf8c91aefae50b9c0e69629d3f6ca40ca3b3fe': { type: 'bridge', name: 'Circle CCTP TokenMessenger' },
+  '0xe7804c37c13166ff0b37f5ae0bb07a3aebb6e245': { type: 'exchange', name: 'Binance' },
+  '0xf977814e90da44bfa03b6295a0616a897441acec': { type: 'exchange', name: 'Binance' },
+  '0x28c6c06298d514db089934071355e5743bf21d60': { type: 'exchange', name: 'Binance' },
+  '0x21a31ee1afc51d94c2efccaa2092ad1028285549': { type: 'exchange', name: 'Binance' },
+  '0xdfd5293d8e347dfe59e90efd55b2956a1343963d': { type: 'exchange', name: 'Binance' },
+  '0x71660c4005ba85c37ccec55d0c4493e66fe775d3': { type: 'exchange', name: 'Coinbase' },
+  '0x503828976d22510aad0201ac7ec88293211d23da': { type: 'exchange', name: 'Coinbase' },
+  '0xa9d1e08c7793af67e9d92fe308d5697fb81d3e43': { type: 'exchange', name: 'Coinbase' },
+  '0x6cc5f688a315f3dc28a7781717a9a798a59fda7b': { type: 'exchange', name: 'OKX' },
+  '0xf89d7b9c864f589bbf53a82105107622b35eaa40': { type: 'exchange', name: 'Bybit' },
+  '0x6262998ced04146fa42253a5c0af90ca02dfd2a3': { type: 'exchange', name: 'Crypto.com' },
+};
+
+function addressTopic(address) {
+  return ethers.zeroPadValue(address.toLowerCase(), 32);
+}
+
+function topicAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+// ----------------------------------------------------------------------------
+// Backends
+// ----------------------------------------------------------------------------
+
+function rpcBackend(provider, { lookbackBlocks, chunkBlocks, maxEmptyWindows = null }) {
+  // Shared by every trace, so a rejected range is only tried once
+  let windowBlocks = chunkBlocks;
+
+  async function transfersIn(address, fromBlock, toBlock) {
+    const to = addressTopic(address);
+    const [nativeLogs, tokenLogs] = await Promise.all([
+      provider.getLogs({ address: NATIVE_TOKEN, topics: [LOG_TRANSFER_TOPIC, null, null, to], fromBlock, toBlock }),
+      provider.getLogs({ address: Object.keys(TOKENS), topics: [TRANSFER_TOPIC, null, to], fromBlock, toBlock }),
+    ]);
+
+    const native = nativeLogs.map(log => ({
+      funder: topicAddress(log.topics[2]),
+      asset: 'POL',
+      // data = amount, input1, input2, output1, output2
+      amount: Number(ethers.formatEther(ethers.dataSlice(log.data, 0, 32))),
+      block: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+    }));
+    const tokens = tokenLogs.map(log => {
+      const token = TOKENS[log.address.toLowerCase()];
+      return {
+        funder: topicAddress(log.topics[1]),
+        asset: token.symbol,
+        amount: Number(ethers.formatUnits(log.data, token.decimals)),
+        block: log.blockNumber,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+      };
+    });
+
+    return [...native, ...tokens].filter(t => t.amount > 0);
+  }
+
+  return {
+    name: 'rpc',
+
+    async firstFunding(address, beforeBlock) {
+      const floor = Math.max(0, beforeBlock - lookbackBlocks);
+      let earliest = null;
+      let emptyWindows = 0;
+      let toBlock = beforeBlock;
+
+      while (toBlock >= floor) {
+        const fromBlock = Math.max(floor, toBlock - windowBlocks + 1);
+        let transfers;
+        try {
+          transfers = await transfersIn(address, fromBlock, toBlock);
+        } catch (error) {
+          if (!RANGE_REJECTED.test(error.message) || windowBlocks <= MIN_WINDOW_BLOCKS) throw error;
+          windowBlocks = Math.max(MIN_WINDOW_BLOCKS, Math.floor((toBlock - fromBlock + 1) / 2));
+          console.warn(`⚠️  getLogs rejected ${toBlock - fromBlock + 1} blocks, funding traces now scan ${windowBlocks} at a time`);
+          continue;
+        }
+        toBlock = fromBlock - 1;
+
+        if (transfers.length) {
+          transfers.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+          earliest = transfers[0];
+          emptyWindows = 0;
+        } else if (earliest && maxEmptyWindows !== null && ++emptyWindows >= maxEmptyWindows) {
+          break;
+        }
+      }
+
+      return earliest;
+    },
+  };
+}
+
+function explorerBackend({ apiUrl, apiKey }) {
+  async function query(params) {
+    const url = `${apiUrl}${apiUrl.includes('?') ? '&' : '?'}${new URLSearchParams({ ...params, apikey: apiKey })}`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Explorer HTTP ${response.status}`);
+    const data = await response.json();
+    // "No transactions found" comes back as status 0 with an empty list
+    if (!Array.isArray(data.result)) throw new Error(`Explorer: ${data.message || data.result}`);
+    return data.result;
+  }
+
+  return {
+    name: 'explorer',
+
+    async firstFunding(address, beforeBlock) {
+      const common = { module: 'account', address, startblock: 0, endblock: beforeBlock, page: 1, offset: 50, sort: 'asc' };
+      const [txs, tokenTxs] = await Promise.all([
+        query({ ...common, action: 'txlist' }),
+        query({ ...common, action: 'tokentx' }),
+      ]);
+      const mine = tx => tx.to && tx.to.toLowerCase() === address.toLowerCase();
+
+      const native = txs
+        .filter(tx => mine(tx) && tx.isError === '0' && BigInt(tx.value) > 0n)
+        .map(tx => ({
+          funder: ethers.getAddress(tx.from),
+          asset: 'POL',
+          amount: Number(ethers.formatEther(tx.value)),
+          block: Number(tx.blockNumber),
+          txHash: tx.hash,
+        }));
+      const tokens = tokenTxs
+        .filter(tx => mine(tx) && TOKENS[tx.contractAddress.toLowerCase()])
+        .map(tx => ({
+          funder: ethers.getAddress(tx.from),
+          asset: TOKENS[tx.contractAddress.toLowerCase()].symbol,
+          amount: Number(ethers.formatUnits(tx.value, Number(tx.tokenDecimal))),
+          block: Number(tx.blockNumber),
+          txHash: tx.hash,
+        }));
+
+      const all = [...native, ...tokens].filter(t => t.amount > 0).sort((a, b) => a.block - b.block);
+      return all[0] || null;
+    },
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Resolver
+// ----------------------------------------------------------------------------
+
+/**
+ * options: lookbackBlocks, chunkBlocks, maxEmptyWindows, explorerApiUrl, explorerApiKey,
+ *          knownFunders
+ *
+ * resolve(address, { beforeBlock }) → { funder, asset, amount, block, txHash,
+ * label, source } or null when nothing was found in range.
+ */
+function createFundingResolver(provider, options) {
+  const labels = {};
+  for (const [address, label] of Object.entries({ ...KNOWN_FUNDERS, ...(options.knownFunders || {}) })) {
+    labels[address.toLowerCase()] = label;
+  }
+
+  const rpc = rpcBackend(provider, options);
+  const backends = options.explorerApiKey
+    ? [explorerBackend({ apiUrl: options.explorerApiUrl, apiKey: options.explorerApiKey }), rpc]
+    : [rpc];
+
+  function labelFor(address) {
+    return address ? labels[address.toLowerCase()] || null : null;
+  }
+
+  return {
+    labelFor,
+
+    async resolve(address, { beforeBlock } = {}) {
+      const toBlock = beforeBlock !== undefined ? beforeBlock : await provider.getBlockNumber();
+
+      for (const backend of backends) {
+        try {
+          const funding = await backend.firstFunding(address, toBlock);
+          if (!funding) continue;
+          const { logIndex, ...result } = funding;
+          return { ...result, label: labelFor(funding.funder), source: backend.name };
+        } catch (error) {
+          console.error(`Funding lookup via ${backend.name} failed for ${address}: ${error.message}`);
+        }
+      }
+
+      return null;
+    },
+  };
+}
+
+module.exports = { createFundingResolver };
@@ -0,0 +1,95 @@
+/**
+ * Prometheus metrics
+ *
+ * Just enough of the text exposition format for /metrics without a client
+ * library. Counters and gauges are read from the bot's own stats when
+ * scraped; latencies go into histograms as they happen.
+ */
+
+// Seconds; RPC calls range from a cached eth_chainId to a wide eth_getLogs
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function createHistogram(buckets = DEFAULT_BUCKETS) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+
+  return {
+    observe(value) {
+      buckets.forEach((le, i) => {
+        if (value <= le) counts[i]++;
+      });
+      sum += value;
+      count++;
+    },
+
+    snapshot() {
+      return { buckets: buckets.map((le, i) => [le, counts[i]]), sum, count };
+    },
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function number(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// { key: value } → samples labelled `label`="key"
+function samplesBy(label, values) {
+  return Object.entries(values).map(([key, value]) => ({ labels: { [label]: key }, value }));
+}
+
+/**
+ * Collects metric families and renders them. `samples` is a number or a list
+ * of { labels, value }; histogram series are { labels, ...snapshot() }.
+ */
+function createExposition(prefix) {
+  const lines = [];
+
+  function family(name, type, help) {
+    lines.push(`# HELP ${prefix}_${name} ${help}`);
+    lines.push(`# TYPE ${prefix}_${name} ${type}`);
+  }
+
+  function simple(type) {
+    return (name, help, samples) => {
+      family(name, type, help);
+      const list = typeof samples === 'number' ? [{ value: samples }] : samples;
+      for (const { labels, value } of list) {
+        lines.push(`${prefix}_${name}${labelText(labels)} ${number(value)}`);
+      }
+    };
+  }
+
+  return {
+    counter: simple('counter'),
+    gauge: simple('gauge'),
+
+    histogram(name, help, series) {
+      family(name, 'histogram', help);
+      for (const { labels, buckets, sum, count } of series) {
+        for (const [le, bucketCount] of buckets) {
+          lines.push(`${prefix}_${name}_bucket${labelText({ ...labels, le: number(le) })} ${bucketCount}`);
+        }
+        lines.push(`${prefix}_${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${prefix}_${name}_sum${labelText(labels)} ${number(sum)}`);
+        lines.push(`${prefix}_${name}_count${labelText(labels)} ${count}`);
+      }
+    },
+
+    text() {
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { createHistogram, createExposition, samplesBy };
@@ -0,0 +1,342 @@
+/**
+ * Alert notifiers: Discord, Slack, Telegram and generic JSON webhooks
+ *
+ * Each configured channel gets its own formatting, filters (minimum suspicion
+ * score, alert types) and delivery with retry/backoff. New alerts are sent as
+ * fresh messages; growth updates are optional follow-ups that avoid pinging:
+ * Discord edits the original message, Telegram replies silently to it, Slack
+ * and webhooks get a separate "updated" message.
+ */
+
+const DEFAULT_CHANNEL = {
+  minScore: 0,
+  alertTypes: null, // null = every type
+  sendUpdates: false,
+  updateIntervalMs: 10 * 60 * 1000, // at most one follow-up per alert per channel in this window; the latest waits for the next
+  retries: 3,
+  retryDelayMs: 1000,
+};
+
+const TYPE_LABELS = {
+  fresh: '🚨 Fresh wallet cluster',
+  volume: '📊 Volume cluster',
+  exit: '🏃 Cluster exiting',
+  anomaly: '📈 Unusual activity',
+};
+
+const TYPE_COLORS = {
+  fresh: 0x00d4ff,
+  volume: 0xffaa00,
+  exit: 0xff4466,
+  anomaly: 0x6c8cff,
+};
+
+function typeLabel(alert) {
+  return TYPE_LABELS[alert.alertType] || `🔔 ${alert.alertType} alert`;
+}
+
+function walletCount(alert) {
+  if (alert.alertType === 'exit') return `${alert.exitingWallets} of ${alert.walletCount}`;
+  return alert.alertType === 'fresh' ? alert.freshWallets : alert.walletCount;
+}
+
+function formatUsd(amount) {
+  return '$' + (amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatPrice(price) {
+  return price !== null && price !== undefined ? `${(price * 100).toFixed(0)}¢` : '—';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST/PATCH JSON with exponential backoff. Retries network errors, 5xx and
+ * 429 (honouring Retry-After); other 4xx fail immediately.
+ */
+async function sendWithRetry(url, { method = 'POST', body }, { retries, retryDelayMs }) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      await sleep(retryDelayMs * 2 ** attempt);
+      continue;
+    }
+
+    if (response.ok) {
+      // Slack and many webhooks answer with plain text such as "ok"
+      const text = await response.text();
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= retries) {
+      throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+
+    const retryAfter = Number(response.headers.get('retry-after'));
+    await sleep(retryAfter > 0 ? retryAfter * 1000 : retryDelayMs * 2 ** attempt);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Channel formatters
+// ----------------------------------------------------------------------------
+
+const discord = {
+  embed(alert) {
+    const fields = [
+      { name: 'Outcome', value: `${alert.outcome} @ ${formatPrice(alert.price)}`, inline: true },
+      { name: 'Wallets', value: String(walletCount(alert)), inline: true },
+      { name: 'Total', value: formatUsd(alert.totalAmount), inline: true },
+    ];
+    if (alert.suspicionScore !== undefined) {
+      fields.push({ name: 'Suspicion', value: `${alert.suspicionScore}/100`, inline: true });
+    }
+    if (alert.suspicionFlags && alert.suspicionFlags.length) {
+      fields.push({ name: 'Flags', value: alert.suspicionFlags.map(f => `⚠️ ${f}`).join('\n') });
+    }
+    return {
+      title: typeLabel(alert),
+      description: alert.question,
+      url: alert.polymarketUrl || undefined,
+      color: TYPE_COLORS[alert.alertType] || 0xffaa00,
+      fields,
+      thumbnail: alert.image ? { url: alert.image } : undefined,
+      timestamp: new Date(alert.timestamp).toISOString(),
+    };
+  },
+
+  // The webhook URL may carry its own query (?thread_id= posts into a thread)
+  url(channel, path = '', params = {}) {
+    const url = new URL(channel.url);
+    url.pathname = url.pathname.replace(/\/$/, '') + path;
+    for (const [name, value] of Object.entries(params)) url.searchParams.set(name, value);
+    return url.toString();
+  },
+
+  async send(channel, alert) {
+    // ?wait=true makes Discord return the message so updates can edit it
+    const message = await sendWithRetry(discord.url(channel, '', { wait: 'true' }), { body: { embeds: [discord.embed(alert)] } }, channel);
+    return message && message.id;
+  },
+
+  async update(channel, alert, messageId) {
+    if (!messageId) return;
+    await sendWithRetry(discord.url(channel, `/messages/${messageId}`), { method: 'PATCH', body: { embeds: [discord.embed(alert)] } }, channel);
+  },
+};
+
+const slack = {
+  blocks(alert, heading) {
+    const fields = [
+      `*Outcome*\n${alert.outcome} @ ${formatPrice(alert.price)}`,
+      `*Wallets*\n${walletCount(alert)}`,
+      `*Total*\n${formatUsd(alert.totalAmount)}`,
+    ];
+    if (alert.suspicionScore !== undefined) fields.push(`*Suspicion*\n${alert.suspicionScore}/100`);
+
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: heading } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*${alert.question}*` } },
+      { type: 'section', fields: fields.map(text => ({ type: 'mrkdwn', text })) },
+    ];
+    if (alert.suspicionFlags && alert.suspicionFlags.length) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: alert.suspicionFlags.map(f => `⚠️ ${f}`).join('   ') }],
+      });
+    }
+    if (alert.polymarketUrl) {
+      blocks.push({
+        type: 'actions',
+        elements: [{ type: 'button', text: { type: 'plain_text', text: 'View on Polymarket' }, url: alert.polymarketUrl }],
+      });
+    }
+    return blocks;
+  },
+
+  async send(channel, alert) {
+    const heading = typeLabel(alert);
+    await sendWithRetry(channel.url, { body: { text: `${heading}: ${alert.question}`, blocks: slack.blocks(alert, heading) } }, channel);
+    return null;
+  },
+
+  async update(channel, alert) {
+    const heading = `↻ Update: ${walletCount(alert)} wallets`;
+    await sendWithRetry(channel.url, { body: { text: `${heading}: ${alert.question}`, blocks: slack.blocks(alert, heading) } }, channel);
+  },
+};
+
+// MarkdownV2 reserves these characters everywhere outside entities
+function escapeTelegram(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+const telegram = {
+  text(alert, heading) {
+    const lines = [
+      `*${escapeTelegram(heading)}*`,
+      escapeTelegram(alert.question),
+      '',
+      `Outcome: *${escapeTelegram(alert.outcome)}* @ ${escapeTelegram(formatPrice(alert.price))}`,
+      `Wallets: *${walletCount(alert)}*`,
+      `Total: *${escapeTelegram(formatUsd(alert.totalAmount))}*`,
+    ];
+    if (alert.suspicionScore !== undefined) lines.push(`Suspicion: *${alert.suspicionScore}/100*`);
+    for (const flag of alert.suspicionFlags || []) lines.push(`⚠️ ${escapeTelegram(flag)}`);
+    if (alert.polymarketUrl) lines.push('', `[View on Polymarket](${alert.polymarketUrl.replace(/[)\\]/g, '\\$&')})`);
+    return lines.join('\n');
+  },
+
+  url(channel) {
+    return `https://api.telegram.org/bot${channel.botToken}/sendMessage`;
+  },
+
+  async send(channel, alert) {
+    const response = await sendWithRetry(telegram.url(channel), {
+      body: { chat_id: channel.chatId, text: telegram.text(alert, typeLabel(alert)), parse_mode: 'MarkdownV2' },
+    }, channel);
+    return response && response.result && response.result.message_id;
+  },
+
+  async update(channel, alert, messageId) {
+    await sendWithRetry(telegram.url(channel), {
+      body: {
+        chat_id: channel.chatId,
+        text: telegram.text(alert, `↻ Update: ${walletCount(alert)} wallets`),
+        parse_mode: 'MarkdownV2',
+        disable_notification: true,
+        reply_to_message_id: messageId || undefined,
+      },
+    }, channel);
+  },
+};
+
+const webhook = {
+  async send(channel, alert) {
+    await sendWithRetry(channel.url, { body: { event: 'alert.created', alert } }, channel);
+    return null;
+  },
+
+  async update(channel, alert) {
+    await sendWithRetry(channel.url, { body: { event: 'alert.updated', alert } }, channel);
+  },
+};
+
+const CHANNEL_TYPES = { discord, slack, telegram, webhook };
+
+// ----------------------------------------------------------------------------
+// Dispatcher
+// ----------------------------------------------------------------------------
+
+/**
+ * Build the notifier from channel configs:
+ *   { type: 'discord' | 'slack' | 'webhook', url, ...filters }
+ *   { type: 'telegram', botToken, chatId, ...filters }
+ *
+ * options: retainMs, how long a sent alert with no new follow-up is kept
+ * around for later ones (default a day)
+ *
+ * notify()/notifyUpdate()/forget() never throw; delivery failures are logged.
+ */
+function createNotifier(channelConfigs, { retainMs = 24 * 60 * 60 * 1000 } = {}) {
+  const channels = channelConfigs.map((config, index) => {
+    const formatter = CHANNEL_TYPES[config.type];
+    if (!formatter) throw new Error(`Unknown notifier type "${config.type}"`);
+    return { ...DEFAULT_CHANNEL, ...config, index, formatter };
+  });
+
+  // `${channel.index}:${alert.id}` → { messageId, lastUpdateAt, latest, timer }
+  const sent = new Map();
+
+  function accepts(channel, alert) {
+    if (channel.alertTypes && !channel.alertTypes.includes(alert.alertType)) return false;
+    // Exit alerts aren't scored; they pass on the score of the cluster that's leaving
+    const score = alert.alertType === 'exit' ? alert.parentScore : alert.suspicionScore;
+    return (score || 0) >= channel.minScore;
+  }
+
+  async function deliver(channel, action, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`Notifier ${channel.type} failed to ${action}: ${error.message}`);
+    }
+  }
+
+  // Drop sent alerts that went quiet; a follow-up after that is not sent
+  function prune() {
+    const cutoff = Date.now() - retainMs;
+    for (const [key, record] of sent) {
+      if (!record.timer && record.lastUpdateAt < cutoff) sent.delete(key);
+    }
+  }
+
+  // Send the newest update held for a sent alert
+  function flushUpdate(channel, record) {
+    clearTimeout(record.timer);
+    record.timer = null;
+    const alert = record.latest;
+    if (!alert) return null;
+    record.latest = null;
+    record.lastUpdateAt = Date.now();
+    return deliver(channel, 'send update', () => channel.formatter.update(channel, alert, record.messageId));
+  }
+
+  return {
+    channelCount: channels.length,
+
+    notify(alert) {
+      prune();
+      return Promise.all(channels.filter(c => accepts(c, alert)).map(channel =>
+        deliver(channel, 'send alert', async () => {
+          const messageId = await channel.formatter.send(channel, alert);
+          sent.set(`${channel.index}:${alert.id}`, { messageId, lastUpdateAt: Date.now() });
+        })
+      ));
+    },
+
+    // Only channels that already sent this alert get its follow-ups. Inside
+    // updateIntervalMs they're held, and the latest goes out when it's over.
+    notifyUpdate(alert) {
+      return Promise.all(channels.filter(c => c.sendUpdates && accepts(c, alert)).map(channel => {
+        const record = sent.get(`${channel.index}:${alert.id}`);
+        if (!record) return null;
+        record.latest = alert;
+
+        const wait = record.lastUpdateAt + channel.updateIntervalMs - Date.now();
+        if (wait <= 0) return flushUpdate(channel, record);
+        if (!record.timer) {
+          record.timer = setTimeout(() => flushUpdate(channel, record), wait);
+          record.timer.unref();
+        }
+        return null;
+      }));
+    },
+
+    // An alert that won't change again (resolved, or its episode ended): send
+    // any held update now and stop tracking it
+    forget(alert) {
+      return Promise.all(channels.map(channel => {
+        const key = `${channel.index}:${alert.id}`;
+        const record = sent.get(key);
+        if (!record) return null;
+        sent.delete(key);
+        return flushUpdate(channel, record);
+      }));
+    },
+  };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,190 @@
+/**
+ * Owner EOAs behind contract wallets
+ *
+ * Polymarket users trade through a contract wallet: a Gnosis Safe or a proxy
+ * wallet deployed by one of Polymarket's factories. Fills carry that
+ * contract's address, so one person running several of them looks like
+ * several unrelated wallets. Each address is resolved once:
+ *
+ *   eoa      no code: the address is its own owner
+ *   safe     getOwners() on the wallet answers directly (first owner)
+ *   factory  otherwise, the block the wallet got its code in is found by
+ *            bisecting getCode, and in that block either a configured
+ *            factory's creation event names the owner, or (for a CREATE2
+ *            factory salted with the owner, like Polymarket's proxy wallet
+ *            factory) the sender or calldata of a transaction is an address
+ *            the wallet's address derives from
+ *
+ * Contract wallets that no route identifies are kept as 'proxy' (an EIP-1167
+ * clone) or 'contract' with no owner. Answers are cached in memory and
+ * through `store`, shared by every run since they are chain facts.
+ * Bisecting getCode takes ~30 calls and an archive node, so it's skipped for
+ * wallets no configured factory could have deployed: a CREATE2 factory only
+ * deploys clones whose creation code hashes to its initCodeHash.
+ */
+
+const { ethers } = require('ethers');
+
+const SAFE_ABI = ['function getOwners() view returns (address[])'];
+
+// EIP-1167 minimal proxy, and what its creation code puts before it
+const MINIMAL_PROXY = /^0x363d3d373d3d3d363d73[0-9a-f]{40}5af43d82803e903d91602b57fd5bf3$/i;
+const CLONE_CREATION_PREFIX = '0x3d602d80600a3d3981f3';
+
+// Who could have had a wallet created in a block: each transaction's sender
+// (a direct call) and every address-shaped word of its calldata (a relayed
+// call carries the user in its arguments). Nested calls start 4 bytes off
+// the word grid, so every 4-byte offset is tried.
+function ownerCandidates(transactions) {
+  const candidates = new Set();
+  for (const tx of transactions) {
+    if (tx.from) candidates.add(tx.from.toLowerCase());
+    const data = (tx.data || '0x').slice(2);
+    for (let i = 8; i + 64 <= data.length; i += 8) {
+      const word = data.slice(i, i + 64);
+      if (word.startsWith('0'.repeat(24)) && !/^0+$/.test(word)) candidates.add(`0x${word.slice(24)}`);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * factories: [{ name, address, event, proxyArg, ownerArg }] where `event` is
+ * a human-readable ABI fragment and the args name its proxy and owner params,
+ * or [{ name, address, initCodeHash }] for a CREATE2 factory whose salt is
+ * keccak256 of the packed owner address.
+ * store: { loadOwners() → Map, saveOwner(address, info) }
+ */
+function createOwnerResolver(provider, { factories = [], store }) {
+  const cache = store.loadOwners();
+  const decoders = factories.map(factory => {
+    if (factory.initCodeHash) return { ...factory, initCodeHash: factory.initCodeHash.toLowerCase() };
+    if (!factory.event) throw new Error(`Wallet factory ${factory.name} needs an event or an initCodeHash`);
+    const iface = new ethers.Interface([factory.event]);
+    const event = iface.fragments[0];
+    return { ...factory, iface, topic: event.topicHash };
+  });
+
+  // Factories that could have deployed a contract with this runtime code
+  function applicableFactories(code) {
+    const initCodeHash = MINIMAL_PROXY.test(code)
+      ? ethers.keccak256(ethers.concat([CLONE_CREATION_PREFIX, code])).toLowerCase()
+      : null;
+    return decoders.filter(d => !d.initCodeHash || d.initCodeHash === initCodeHash);
+  }
+
+  function create2Address(factory, owner) {
+    const salt = ethers.keccak256(ethers.solidityPacked(['address'], [owner]));
+    return ethers.getCreate2Address(factory.address, salt, factory.initCodeHash).toLowerCase();
+  }
+
+  // First block at which `address` has code, or null if it has none by `toBlock`
+  async function creationBlock(address, toBlock) {
+    if (await provider.getCode(address, toBlock) === '0x') return null;
+    let lo = 0;
+    let hi = toBlock;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await provider.getCode(address, mid) === '0x') lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  async function fromFactory(address, factories, toBlock) {
+    const block = await creationBlock(address, toBlock);
+    if (block === null) return null;
+
+    const byEvent = factories.filter(d => d.topic);
+    if (byEvent.length) {
+      const logs = await provider.getLogs({
+        address: byEvent.map(d => d.address),
+        topics: [[...new Set(byEvent.map(d => d.topic))]],
+        fromBlock: block,
+        toBlock: block,
+      });
+      for (const log of logs) {
+        const decoder = byEvent.find(d => d.address.toLowerCase() === log.address.toLowerCase() && d.topic === log.topics[0]);
+        if (!decoder) continue;
+        const args = decoder.iface.parseLog(log).args;
+        if (String(args[decoder.proxyArg]).toLowerCase() === address.toLowerCase()) {
+          return { owner: args[decoder.ownerArg], source: decoder.name };
+        }
+      }
+    }
+
+    const byCreate2 = factories.filter(d => d.initCodeHash);
+    if (byCreate2.length) {
+      const { prefetchedTransactions } = await provider.getBlock(block, true);
+      for (const candidate of ownerCandidates(prefetchedTransactions)) {
+        const factory = byCreate2.find(d => create2Address(d, candidate) === address.toLowerCase());
+        if (factory) return { owner: ethers.getAddress(candidate), source: factory.name };
+      }
+    }
+    return null;
+  }
+
+  async function inspect(address, blockTag) {
+    const code = await provider.getCode(address, blockTag);
+    if (code === '0x') return { kind: 'eoa', owner: null, source: null };
+
+    try {
+      const owners = await new ethers.Contract(address, SAFE_ABI, provider).getOwners({ blockTag });
+      if (owners.length) return { kind: 'safe', owner: owners[0], source: 'getOwners' };
+    } catch (error) {
+      // Not a Safe
+    }
+
+    const kind = MINIMAL_PROXY.test(code) ? 'proxy' : 'contract';
+    const factories = applicableFactories(code);
+    if (!factories.length) return { kind, owner: null, source: null };
+    try {
+      const toBlock = blockTag === 'latest' ? await provider.getBlockNumber() : blockTag;
+      const created = await fromFactory(address, factories, toBlock);
+      if (created) return { kind, owner: created.owner, source: created.source };
+    } catch (error) {
+      // Bisecting getCode needs an archive node; without one the owner stays unknown
+      console.error(`Owner lookup failed for ${address}: ${error.message}`);
+      return { kind, owner: null, source: null, failed: true };
+    }
+    return { kind, owner: null, source: null };
+  }
+
+  return {
+    /**
+     * { kind, owner, source } for `address`, looked up on first use. `owner`
+     * is null for EOAs and for contract wallets nobody could be found behind.
+     */
+    async resolve(address, { blockTag = 'latest' } = {}) {
+      const key = address.toLowerCase();
+      if (cache.has(key)) return cache.get(key);
+
+      const { failed, ...info } = { ...await inspect(address, blockTag), checkedAt: Date.now() };
+      cache.set(key, info);
+      // A failed lookup is only remembered until restart
+      if (!failed) store.saveOwner(key, info);
+      return info;
+    },
+
+    /** What is known about an address without looking it up, or null */
+    known(address) {
+      return cache.get(address.toLowerCase()) || null;
+    },
+
+    /** Owner EOA of an address already resolved, or null */
+    ownerOf(address) {
+      const info = cache.get(address.toLowerCase());
+      return info && info.owner ? info.owner : null;
+    },
+
+    /** Every resolved wallet controlled by `owner` */
+    walletsOf(owner) {
+      const key = owner.toLowerCase();
+      return [...cache.entries()]
+        .filter(([, info]) => info.owner && info.owner.toLowerCase() === key)
+        .map(([address]) => address);
+    },
+  };
+}
+
+module.exports = { createOwnerResolver };
@@ -0,0 +1,52 @@
+/**
+ * Chunk pipeline helpers
+ *
+ * Events are applied one at a time in block/log order so alerts come out the
+ * same however lookups interleave. The slow part, the network lookups behind
+ * each wallet, doesn't depend on that order and is done up front for a whole
+ * chunk: mapLimit() bounds how many run at once, and createRateMeter() tracks
+ * how fast events get through.
+ */
+
+/**
+ * fn(item, index) for every item with at most `limit` running at a time;
+ * resolves to the results in item order.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/** Counts per second over a sliding window */
+function createRateMeter(windowMs = 60 * 1000) {
+  const samples = []; // [timestamp, count], oldest first
+
+  function prune(now) {
+    while (samples.length && samples[0][0] <= now - windowMs) samples.shift();
+  }
+
+  return {
+    record(count, now = Date.now()) {
+      samples.push([now, count]);
+      prune(now);
+    },
+
+    perSecond(now = Date.now()) {
+      prune(now);
+      const total = samples.reduce((sum, [, count]) => sum + count, 0);
+      return total / (windowMs / 1000);
+    },
+  };
+}
+
+module.exports = { mapLimit, createRateMeter };
@@ -0,0 +1,81 @@
+/**
+ * Net positions and P&L from a wallet's fills
+ *
+ * Average-cost accounting per outcome token: buys add shares at their price,
+ * sells realize (sell price - average cost) on the shares sold, and whatever
+ * is still held is marked at the current price. Fills a wallet made as a
+ * taker are not decoded, so this covers the fills we've seen, not
+ * necessarily the wallet's whole book.
+ */
+
+/**
+ * `fills` are { tokenId, side: 'BUY' | 'SELL', usdc, shares, price, timestamp }
+ * in any order; `priceFor(tokenId)` returns the current price or null.
+ *
+ * Returns { positions, totals } where each position is
+ *   { tokenId, shares, avgCost, bought, sold, boughtUsdc, soldUsdc,
+ *     realizedPnl, currentPrice, unrealizedPnl, fills, firstFill, lastFill }
+ */
+function buildPositions(fills, priceFor) {
+  const byToken = new Map();
+
+  for (const fill of [...fills].sort((a, b) => a.timestamp - b.timestamp)) {
+    if (!byToken.has(fill.tokenId)) {
+      byToken.set(fill.tokenId, {
+        tokenId: fill.tokenId,
+        shares: 0,
+        avgCost: 0,
+        bought: 0,
+        sold: 0,
+        boughtUsdc: 0,
+        soldUsdc: 0,
+        realizedPnl: 0,
+        fills: 0,
+        firstFill: fill.timestamp,
+        lastFill: fill.timestamp,
+      });
+    }
+    const p = byToken.get(fill.tokenId);
+    p.fills++;
+    p.lastFill = fill.timestamp;
+
+    if (fill.side === 'BUY') {
+      p.avgCost = (p.avgCost * p.shares + fill.usdc) / (p.shares + fill.shares);
+      p.shares += fill.shares;
+      p.bought += fill.shares;
+      p.boughtUsdc += fill.usdc;
+    } else if (fill.side === 'SELL') {
+      // Shares bought before we started watching have no known cost; only
+      // the part of a sell we can match against seen buys is realized
+      const matched = Math.min(fill.shares, p.shares);
+      p.realizedPnl += matched * (fill.price - p.avgCost);
+      p.shares -= matched;
+      p.sold += fill.shares;
+      p.soldUsdc += fill.usdc;
+      if (p.shares === 0) p.avgCost = 0;
+    }
+  }
+
+  const positions = [...byToken.values()].map(p => {
+    const currentPrice = priceFor(p.tokenId);
+    return {
+      ...p,
+      currentPrice,
+      unrealizedPnl: currentPrice !== null && p.shares > 0 ? p.shares * (currentPrice - p.avgCost) : 0,
+    };
+  });
+
+  const sum = key => positions.reduce((total, p) => total + p[key], 0);
+  return {
+    positions: positions.sort((a, b) => b.lastFill - a.lastFill),
+    totals: {
+      boughtUsdc: sum('boughtUsdc'),
+      soldUsdc: sum('soldUsdc'),
+      realizedPnl: sum('realizedPnl'),
+      unrealizedPnl: sum('unrealizedPnl'),
+      openPositions: positions.filter(p => p.shares > 0).length,
+    },
+  };
+}
+
+module.exports = { buildPositions };
@@ -0,0 +1,101 @@
+/**
+ * Per-outcome price history built from ingested fills
+ *
+ * Gamma's `outcomePrices` is a snapshot taken when a market is first looked
+ * up; the fills we already decode say what the outcome actually traded at and
+ * when. Fills are folded into fixed time buckets (open, close, volume-weighted
+ * average) so history for every active outcome stays small enough to keep in
+ * memory and in the store.
+ */
+
+const DEFAULT_BUCKET_MS = 5 * 60 * 1000;
+
+/**
+ * buckets per token, oldest first:
+ *   { t (bucket start, ms), open, close, usdc, shares, fills }
+ * The bucket's average price is usdc / shares.
+ */
+function createPriceHistory({ bucketMs = DEFAULT_BUCKET_MS } = {}) {
+  const series = new Map();
+
+  function bucketStart(timestamp) {
+    return timestamp - (timestamp % bucketMs);
+  }
+
+  function average(bucket) {
+    return bucket.shares > 0 ? bucket.usdc / bucket.shares : bucket.close;
+  }
+
+  /**
+   * Fold one fill into its bucket and return the bucket (for persisting).
+   * Fills normally arrive in chain order; a late one lands in its own bucket.
+   */
+  function record(tokenId, timestamp, { price, usdc, shares }) {
+    if (!series.has(tokenId)) series.set(tokenId, []);
+    const buckets = series.get(tokenId);
+    const t = bucketStart(timestamp);
+
+    let i = buckets.length - 1;
+    while (i >= 0 && buckets[i].t > t) i--;
+
+    let bucket = buckets[i];
+    if (!bucket || bucket.t !== t) {
+      bucket = { t, open: price, close: price, usdc: 0, shares: 0, fills: 0 };
+      buckets.splice(i + 1, 0, bucket);
+    }
+    bucket.close = price;
+    bucket.usdc += usdc;
+    bucket.shares += shares;
+    bucket.fills++;
+    return bucket;
+  }
+
+  /** Seed one token's history from the store */
+  function load(tokenId, buckets) {
+    series.set(tokenId, [...buckets].sort((a, b) => a.t - b.t));
+  }
+
+  /** Most recent traded price: { timestamp, price } or null */
+  function latest(tokenId) {
+    const buckets = series.get(tokenId);
+    if (!buckets || !buckets.length) return null;
+    const last = buckets[buckets.length - 1];
+    return { timestamp: last.t, price: last.close };
+  }
+
+  /**
+   * Price an outcome traded at before `timestamp`: the close of the last
+   * bucket that ended before the one containing it, so the fills being judged
+   * don't count towards their own baseline.
+   */
+  function priceBefore(tokenId, timestamp) {
+    const buckets = series.get(tokenId) || [];
+    const t = bucketStart(timestamp);
+    for (let i = buckets.length - 1; i >= 0; i--) {
+      if (buckets[i].t < t) return { timestamp: buckets[i].t, price: buckets[i].close };
+    }
+    return null;
+  }
+
+  /** Buckets in [from, to], each with its average price */
+  function range(tokenId, { from = 0, to = Infinity } = {}) {
+    return (series.get(tokenId) || [])
+      .filter(b => b.t >= from && b.t <= to)
+      .map(b => ({ ...b, avg: average(b) }));
+  }
+
+  function prune(cutoff) {
+    for (const [tokenId, buckets] of series.entries()) {
+      const kept = buckets.filter(b => b.t > cutoff);
+      if (kept.length) {
+        series.set(tokenId, kept);
+      } else {
+        series.delete(tokenId);
+      }
+    }
+  }
+
+  return { bucketMs, record, load, latest, priceBefore, range, prune };
+}
+
+module.exports = { createPriceHistory };
@@ -0,0 +1,66 @@
+/**
+ * Reorg detection for the live scan
+ *
+ * The live loop scans up to the chain head, so the newest blocks can still
+ * be replaced. The hash of every block we recorded something from, and of
+ * each scan chunk's last block, is kept until the block is `confirmations`
+ * deep (final). Before each scan the kept hashes are compared with the
+ * chain's: the first one that changed means everything after the last block
+ * that still matches has to be rolled back and scanned again.
+ */
+
+/**
+ * `saved` is a previous tracker's state() so a restart still catches a reorg
+ * that happened while the bot was down.
+ */
+function createReorgTracker({ confirmations, saved = null }) {
+  // blockNumber → hash, only for blocks that aren't final yet
+  const recent = new Map(saved ? saved.blocks : []);
+  let finalized = saved ? saved.finalized : 0;
+
+  return {
+    record(blockNumber, hash) {
+      if (blockNumber > finalized && hash) recent.set(blockNumber, hash);
+    },
+
+    /** Forget blocks that are now `confirmations` deep; returns the finalized block */
+    finalize(head) {
+      finalized = Math.max(finalized, head - confirmations);
+      for (const blockNumber of recent.keys()) {
+        if (blockNumber <= finalized) recent.delete(blockNumber);
+      }
+      return finalized;
+    },
+
+    /**
+     * Compare kept hashes with the chain. Returns the first block to roll
+     * back from, or null when nothing changed.
+     */
+    async check(provider) {
+      const numbers = [...recent.keys()].sort((a, b) => a - b);
+      const current = await Promise.all(numbers.map(n => provider.getBlock(n)));
+
+      let lastGood = finalized;
+      for (let i = 0; i < numbers.length; i++) {
+        const block = current[i];
+        if (!block || block.hash !== recent.get(numbers[i])) {
+          for (const n of numbers.slice(i)) recent.delete(n);
+          return lastGood + 1;
+        }
+        lastGood = numbers[i];
+      }
+      return null;
+    },
+
+    /** What to persist: { finalized, blocks: [[blockNumber, hash], ...] } */
+    state() {
+      return { finalized, blocks: [...recent.entries()] };
+    },
+
+    get finalized() {
+      return finalized;
+    },
+  };
+}
+
+module.exports = { createReorgTracker };
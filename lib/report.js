@@ -0,0 +1,60 @@
+/**
+ * Detector precision report
+ *
+ * Judges alerts by how their markets resolved. An alert is a hit when the
+ * outcome its cluster bought paid out (payout above 0.5 per share); the copy
+ * return is what buying at the cluster's average entry price and holding to
+ * resolution would have made, (payout - entry) / entry. Exit alerts are left
+ * out: they are never resolved themselves.
+ */
+
+const SCORE_BUCKETS = [
+  { label: 'high (70+)', min: 70 },
+  { label: 'medium (40-69)', min: 40 },
+  { label: 'low (0-39)', min: 0 },
+];
+
+function scoreBucket(alert) {
+  const score = alert.suspicionScore || 0;
+  return SCORE_BUCKETS.find(bucket => score >= bucket.min).label;
+}
+
+function summarize(alerts) {
+  const resolved = alerts.filter(a => a.resolution);
+  const hits = resolved.filter(a => a.resolution.won);
+  const returns = resolved.map(a => a.resolution.copyReturn).filter(r => r !== null && r !== undefined);
+
+  return {
+    alerts: alerts.length,
+    resolved: resolved.length,
+    pending: alerts.length - resolved.length,
+    hits: hits.length,
+    hitRate: resolved.length ? hits.length / resolved.length : null,
+    avgCopyReturn: returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : null,
+  };
+}
+
+function groupBy(alerts, keyOf) {
+  const groups = {};
+  for (const alert of alerts) {
+    const key = keyOf(alert);
+    (groups[key] = groups[key] || []).push(alert);
+  }
+  return Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, summarize(list)]));
+}
+
+/**
+ * Overall hit rate and copy return, broken down by alert type, suspicion
+ * score bucket and market category.
+ */
+function precisionReport(allAlerts) {
+  const alerts = allAlerts.filter(a => a.alertType !== 'exit');
+  return {
+    ...summarize(alerts),
+    byType: groupBy(alerts, a => a.alertType),
+    byScore: groupBy(alerts, scoreBucket),
+    byCategory: groupBy(alerts, a => a.category || 'Uncategorized'),
+  };
+}
+
+module.exports = { precisionReport };
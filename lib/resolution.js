@@ -0,0 +1,69 @@
+/**
+ * Market resolution lookups
+ *
+ * Two sources say how an outcome paid out:
+ *
+ *   gamma  the Gamma API marks a market closed and sets its outcome prices
+ *          to the payout (1 / 0, or 0.5 each for a 50-50 resolution)
+ *   chain  the Conditional Tokens contract emits ConditionResolution with the
+ *          payout numerators when the oracle reports, for CTF and NegRisk
+ *          markets alike
+ *
+ * Both are reduced to the payout per share of one outcome (0–1).
+ */
+
+const { ethers } = require('ethers');
+
+const CONDITIONAL_TOKENS = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+
+const CONDITIONAL_TOKENS_ABI = [
+  'event ConditionResolution(bytes32 indexed conditionId, address indexed oracle, bytes32 indexed questionId, uint256 outcomeSlotCount, uint256[] payoutNumerators)',
+];
+
+/**
+ * Resolution of the market holding `tokenId` according to Gamma:
+ * { payout, resolvedAt, source: 'gamma' }, or null while it is still open or
+ * awaiting its final prices.
+ */
+async function fetchGammaResolution(tokenId) {
+  // closed=true so an open market comes back as an empty list
+  const response = await fetch(`https://gamma-api.polymarket.com/markets?clob_token_ids=${tokenId}&closed=true`);
+  if (!response.ok) throw new Error(`Gamma HTTP ${response.status}`);
+
+  const [market] = await response.json();
+  if (!market || !market.closed) return null;
+
+  const tokenIds = JSON.parse(market.clobTokenIds || '[]');
+  const prices = JSON.parse(market.outcomePrices || '[]').map(Number);
+  const index = tokenIds.indexOf(tokenId);
+  if (index === -1 || prices[index] === undefined) return null;
+
+  // A closed market can still be trading out its last prices until the oracle settles
+  const settled = market.umaResolutionStatus === 'resolved' || prices.every(p => p === 0 || p === 1);
+  if (!settled) return null;
+
+  return {
+    payout: prices[index],
+    resolvedAt: Date.parse(market.closedTime) || Date.now(),
+    source: 'gamma',
+  };
+}
+
+/**
+ * Decode a ConditionResolution log into { conditionId, payouts } where
+ * payouts[i] is what one share of outcome slot i pays.
+ */
+function decodeConditionResolution(event) {
+  const numerators = event.args.payoutNumerators.map(n => Number(n));
+  const total = numerators.reduce((a, b) => a + b, 0);
+  return {
+    conditionId: event.args.conditionId.toLowerCase(),
+    payouts: numerators.map(n => (total > 0 ? n / total : 0)),
+  };
+}
+
+function conditionalTokensContract(provider) {
+  return new ethers.Contract(CONDITIONAL_TOKENS, CONDITIONAL_TOKENS_ABI, provider);
+}
+
+module.exports = { fetchGammaResolution, decodeConditionResolution, conditionalTokensContract };
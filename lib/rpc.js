@@ -0,0 +1,236 @@
+/**
+ * Pooled JSON-RPC provider
+ *
+ * One ethers provider backed by several endpoints. Every request goes to an
+ * available endpoint picked at random by weight. When an endpoint times out,
+ * fails at the HTTP level or is rate-limited (HTTP 429 or a rate-limit
+ * JSON-RPC error), it backs off (honouring Retry-After, otherwise doubling
+ * from `baseBackoffMs`) and the request fails over to the next endpoint.
+ *
+ * A health check polls every endpoint's block number; one that errors or
+ * lags more than `maxLagBlocks` behind the best head is only used when no
+ * healthy endpoint is left.
+ */
+
+const { ethers } = require('ethers');
+
+// Rate limits reported inside a JSON-RPC response rather than as HTTP 429
+const RATE_LIMIT_CODES = new Set([-32005, -32029, 429]);
+const RATE_LIMIT_MESSAGE = /rate.?limit|too many requests/i;
+
+class RpcEndpointError extends Error {
+  constructor(message, { rateLimited = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'RpcEndpointError';
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// ethers provider whose transport is the pool. The network is fixed up front
+// so ethers never retries chain detection on its own.
+class PooledProvider extends ethers.JsonRpcApiProvider {
+  constructor(send, network) {
+    super(network, { staticNetwork: network });
+    this.sendToPool = send;
+  }
+
+  async _send(payload) {
+    return this.sendToPool(payload);
+  }
+}
+
+// Endpoint URLs often carry an API key, so only the host is ever shown
+function labelFor(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * endpoints: [{ url, weight }]
+ * options: network (ethers Network), timeoutMs, healthCheckMs, maxLagBlocks, baseBackoffMs, maxBackoffMs,
+ *          onCall(method, seconds, ok) called for every JSON-RPC call sent (calls
+ *          in one batch share its round trip)
+ *
+ * Returns { provider, status(), checkHealth(), stop() }.
+ */
+function createProviderPool(endpoints, {
+  network,
+  timeoutMs = 15000,
+  healthCheckMs = 30000,
+  maxLagBlocks = 10,
+  baseBackoffMs = 1000,
+  maxBackoffMs = 60 * 1000,
+  onCall = () => {},
+} = {}) {
+  const pool = endpoints.map(({ url, weight = 1 }) => ({
+    url,
+    label: labelFor(url),
+    weight,
+    healthy: true,
+    head: null,
+    latencyMs: null,
+    failures: 0,
+    backoffUntil: 0,
+    requests: 0,
+    errors: 0,
+    rateLimited: 0,
+  }));
+
+  async function post(endpoint, payload) {
+    let response;
+    try {
+      response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      throw new RpcEndpointError(error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message);
+    }
+
+    if (response.status === 429) {
+      throw new RpcEndpointError('rate limited (HTTP 429)', { rateLimited: true, retryAfterMs: retryAfterMs(response) });
+    }
+    if (!response.ok) throw new RpcEndpointError(`HTTP ${response.status}`);
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      throw new RpcEndpointError('invalid JSON response');
+    }
+    const results = Array.isArray(body) ? body : [body];
+    if (results.some(r => r.error && (RATE_LIMIT_CODES.has(r.error.code) || RATE_LIMIT_MESSAGE.test(r.error.message || '')))) {
+      throw new RpcEndpointError('rate limited', { rateLimited: true });
+    }
+    return results;
+  }
+
+  function succeed(endpoint) {
+    endpoint.requests++;
+    endpoint.failures = 0;
+  }
+
+  function fail(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.failures++;
+    if (error.rateLimited) endpoint.rateLimited++;
+    const delay = error.retryAfterMs ?? Math.min(maxBackoffMs, baseBackoffMs * 2 ** (endpoint.failures - 1));
+    endpoint.backoffUntil = Date.now() + delay;
+    console.warn(`⚠️  RPC ${endpoint.label}: ${error.message}, backing off ${Math.ceil(delay / 1000)}s`);
+  }
+
+  // Weighted random pick among endpoints not yet tried, healthy ones first
+  function pick(tried) {
+    const now = Date.now();
+    const open = pool.filter(e => !tried.has(e) && e.backoffUntil <= now && e.weight > 0);
+    const candidates = open.some(e => e.healthy) ? open.filter(e => e.healthy) : open;
+    if (!candidates.length) return null;
+
+    let roll = Math.random() * candidates.reduce((sum, e) => sum + e.weight, 0);
+    for (const endpoint of candidates) {
+      roll -= endpoint.weight;
+      if (roll < 0) return endpoint;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  function report(payload, started, results) {
+    const seconds = (Date.now() - started) / 1000;
+    const failed = new Set(results ? results.filter(r => r.error).map(r => r.id) : []);
+    for (const call of Array.isArray(payload) ? payload : [payload]) {
+      onCall(call.method, seconds, results !== null && !failed.has(call.id));
+    }
+  }
+
+  async function send(payload) {
+    const tried = new Set();
+    const started = Date.now();
+    let lastError = null;
+
+    while (tried.size < pool.length) {
+      let endpoint = pick(tried);
+      if (!endpoint) {
+        // Everything left is backing off: wait for whichever recovers first
+        const next = pool.filter(e => !tried.has(e)).sort((a, b) => a.backoffUntil - b.backoffUntil)[0];
+        await new Promise(resolve => setTimeout(resolve, Math.min(maxBackoffMs, next.backoffUntil - Date.now())));
+        endpoint = next;
+      }
+      tried.add(endpoint);
+
+      try {
+        const attempt = Date.now();
+        const results = await post(endpoint, payload);
+        succeed(endpoint);
+        report(payload, attempt, results);
+        return results;
+      } catch (error) {
+        if (!(error instanceof RpcEndpointError)) throw error;
+        fail(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    report(payload, started, null);
+    throw new Error(`All RPC endpoints failed, last: ${lastError.message}`);
+  }
+
+  async function checkHealth() {
+    await Promise.all(pool.map(async endpoint => {
+      const started = Date.now();
+      try {
+        const [result] = await post(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+        if (result.error) throw new RpcEndpointError(result.error.message);
+        endpoint.head = Number(result.result);
+        endpoint.latencyMs = Date.now() - started;
+        endpoint.healthy = true;
+      } catch (error) {
+        endpoint.healthy = false;
+        if (error instanceof RpcEndpointError) fail(endpoint, error);
+      }
+    }));
+
+    const best = Math.max(...pool.filter(e => e.healthy).map(e => e.head));
+    for (const endpoint of pool) {
+      if (endpoint.healthy && endpoint.head < best - maxLagBlocks) endpoint.healthy = false;
+    }
+  }
+
+  const timer = setInterval(() => checkHealth().catch(() => {}), healthCheckMs);
+  timer.unref();
+
+  return {
+    provider: new PooledProvider(send, network),
+
+    /** Per-endpoint health and counters, for stats */
+    status() {
+      return pool.map(({ url, backoffUntil, failures, ...endpoint }) => ({
+        ...endpoint,
+        backingOff: backoffUntil > Date.now(),
+      }));
+    },
+
+    checkHealth,
+
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { createProviderPool };
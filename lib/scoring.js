@@ -0,0 +1,187 @@
+/**
+ * Suspicion scoring
+ *
+ * A score is the sum of the weights of every rule that triggers, capped at
+ * 100. Rules live in RULES: each has default parameters (weight, threshold and
+ * any rule-specific knobs) that the `scoringRules` setting can override per
+ * rule, and returns the value it measured plus evidence so the dashboard can
+ * show why a cluster scored what it did.
+ *
+ * Rules see `{ alertType, bets, stats }` where `stats` comes from
+ * clusterStats() and holds the parameter-free measurements several rules share.
+ */
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function cents(price) {
+  return `${Math.round(price * 100)}¢`;
+}
+
+/**
+ * Raw measurements of a cluster's bets. `fundingClusters` comes from the
+ * funding graph (biggest first); bets may carry `funder` / `funderLabel`.
+ * `currentPrice` and `priceBefore` are the outcome's latest traded price and
+ * its price before the cluster's first bet (null when unknown).
+ */
+function clusterStats(bets, { fundingClusters = [], currentPrice = null, priceBefore = null } = {}) {
+  const amounts = bets.map(b => b.amount || 0);
+  const totalAmount = amounts.reduce((a, b) => a + b, 0);
+  const totalShares = bets.reduce((sum, b) => sum + (b.shares || 0), 0);
+
+  // Exchange hot wallets and bridges fund thousands of unrelated wallets
+  const funderCounts = {};
+  for (const bet of bets) {
+    if (!bet.funder || bet.funderLabel) continue;
+    const key = bet.funder.toLowerCase();
+    funderCounts[key] = (funderCounts[key] || 0) + 1;
+  }
+  const topFunder = Object.entries(funderCounts).sort((a, b) => b[1] - a[1])[0];
+
+  const timestamps = bets.map(b => b.timestamp);
+
+  return {
+    walletCount: bets.length,
+    totalAmount,
+    avgAmount: bets.length ? totalAmount / bets.length : 0,
+    amounts,
+    sameFunderCount: topFunder ? topFunder[1] : 0,
+    sameFunderAddress: topFunder ? topFunder[0] : null,
+    fundingClusters,
+    topCluster: fundingClusters[0] || null,
+    timeSpanMinutes: bets.length ? Math.round((Math.max(...timestamps) - Math.min(...timestamps)) / 60000) : 0,
+    // Volume-weighted average fill price across the cluster
+    avgEntryPrice: totalShares > 0 ? totalAmount / totalShares : null,
+    currentPrice,
+    priceBefore,
+  };
+}
+
+const RULES = {
+  sharedFunding: {
+    label: 'Shared funding',
+    defaults: { enabled: true, weight: 40, threshold: 3 },
+    evaluate({ stats }, { threshold }) {
+      const { sameFunderCount, sameFunderAddress, topCluster } = stats;
+      const value = Math.max(sameFunderCount, topCluster ? topCluster.walletCount : 0);
+      const flags = [];
+      if (sameFunderCount >= threshold) flags.push(`${sameFunderCount} wallets share same funder`);
+      // Only worth its own line when the graph found more than the direct funder did
+      if (topCluster && topCluster.walletCount >= threshold && (topCluster.hops > 1 || topCluster.walletCount > sameFunderCount)) {
+        flags.push(`${topCluster.walletCount} wallets trace back to common ancestor ${shortAddress(topCluster.ancestor)} within ${topCluster.hops} hops`);
+      }
+      return {
+        value,
+        triggered: value >= threshold,
+        flags,
+        evidence: {
+          sameFunderCount,
+          sameFunderAddress,
+          ancestor: topCluster ? topCluster.ancestor : null,
+          ancestorWallets: topCluster ? topCluster.walletCount : 0,
+          ancestorHops: topCluster ? topCluster.hops : null,
+        },
+      };
+    },
+  },
+
+  similarAmounts: {
+    label: 'Similar bet sizes',
+    // threshold: % of wallets within `tolerance` of the average bet
+    defaults: { enabled: true, weight: 30, threshold: 50, tolerance: 0.1 },
+    evaluate({ stats }, { threshold, tolerance }) {
+      const { amounts, avgAmount } = stats;
+      const similar = avgAmount > 0 ? amounts.filter(a => Math.abs(a - avgAmount) / avgAmount < tolerance).length : 0;
+      const value = amounts.length ? Math.round((similar / amounts.length) * 100) : 0;
+      return {
+        value,
+        triggered: value >= threshold,
+        flags: [`${value}% bet similar amounts`],
+        evidence: { similarCount: similar, avgAmount, tolerance },
+      };
+    },
+  },
+
+  tightTiming: {
+    label: 'Tight timing',
+    // threshold: max minutes between first and last bet, with at least minWallets bets
+    defaults: { enabled: true, weight: 30, threshold: 30, minWallets: 10 },
+    evaluate({ stats }, { threshold, minWallets }) {
+      const value = stats.timeSpanMinutes;
+      return {
+        value,
+        triggered: value <= threshold && stats.walletCount >= minWallets,
+        flags: [`All bets within ${value} min`],
+        evidence: { walletCount: stats.walletCount, minWallets },
+      };
+    },
+  },
+
+  lowOddsEntry: {
+    label: 'Bet against the odds',
+    // threshold: highest average entry price (0–1) that counts as a long shot
+    defaults: { enabled: true, weight: 20, threshold: 0.15 },
+    evaluate({ stats }, { threshold }) {
+      const { avgEntryPrice, priceBefore } = stats;
+      return {
+        value: avgEntryPrice,
+        triggered: avgEntryPrice !== null && avgEntryPrice <= threshold,
+        flags: avgEntryPrice !== null ? [`Cluster bought an outcome priced at ${cents(avgEntryPrice)}`] : [],
+        evidence: { avgEntryPrice, priceBefore },
+      };
+    },
+  },
+
+  priceMove: {
+    label: 'Price moved after entry',
+    // threshold: rise from the cluster's average entry to the latest price (0–1)
+    defaults: { enabled: true, weight: 30, threshold: 0.1 },
+    evaluate({ stats }, { threshold }) {
+      const { avgEntryPrice, currentPrice, priceBefore } = stats;
+      const value = avgEntryPrice !== null && currentPrice !== null ? currentPrice - avgEntryPrice : null;
+      return {
+        value,
+        triggered: value !== null && value >= threshold,
+        flags: value !== null ? [`Cluster bought at avg ${cents(avgEntryPrice)}, now ${cents(currentPrice)}`] : [],
+        evidence: { avgEntryPrice, currentPrice, priceBefore },
+      };
+    },
+  },
+};
+
+const RULE_NAMES = Object.keys(RULES);
+
+/**
+ * Score a cluster. `ruleConfig` is the `scoringRules` setting: per-rule
+ * overrides of the defaults, e.g. { tightTiming: { threshold: 15 } }.
+ *
+ * Returns { score, flags, breakdown } where breakdown has one entry per
+ * enabled rule: { rule, label, weight, threshold, value, triggered, points, evidence }
+ */
+function scoreCluster(ctx, ruleConfig = {}) {
+  const breakdown = [];
+
+  for (const [name, rule] of Object.entries(RULES)) {
+    const params = { ...rule.defaults, ...(ruleConfig[name] || {}) };
+    if (!params.enabled) continue;
+
+    const result = rule.evaluate(ctx, params);
+    breakdown.push({
+      rule: name,
+      label: rule.label,
+      weight: params.weight,
+      threshold: params.threshold,
+      value: result.value,
+      triggered: result.triggered,
+      points: result.triggered ? params.weight : 0,
+      flags: result.triggered ? result.flags : [],
+      evidence: result.evidence,
+    });
+  }
+
+  const score = Math.min(100, breakdown.reduce((sum, r) => sum + r.points, 0));
+  return { score, flags: breakdown.flatMap(r => r.flags), breakdown };
+}
+
+module.exports = { clusterStats, scoreCluster, RULE_NAMES };
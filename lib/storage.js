@@ -0,0 +1,441 @@
+/**
+ * SQLite persistence for detector state
+ *
+ * Keeps tracked bets, the wallet cache and wallet owners, alert episodes,
+ * alert history, suppressed clusters, decoded fills, per-outcome price history
+ * and the block cursor on disk so a restart picks up where the bot left off.
+ * Rows carry the full in-memory object as JSON in a `data` column; the other
+ * columns only exist for lookups and pruning.
+ *
+ * All state is scoped to a run: the live bot uses the 'live' run, and every
+ * historical replay writes to its own run so it never touches live alerts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Each entry upgrades the schema by one version (tracked in PRAGMA user_version)
+const MIGRATIONS = [
+  `
+  CREATE TABLE bets (
+    kind TEXT NOT NULL,
+    outcome_id TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (kind, outcome_id, wallet)
+  );
+  CREATE INDEX bets_timestamp ON bets (timestamp);
+
+  CREATE TABLE wallets (
+    address TEXT PRIMARY KEY,
+    checked_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE alerted_outcomes (
+    kind TEXT NOT NULL,
+    outcome_id TEXT NOT NULL,
+    PRIMARY KEY (kind, outcome_id)
+  );
+
+  CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY,
+    outcome_id TEXT NOT NULL,
+    alert_type TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX alerts_timestamp ON alerts (timestamp);
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  `,
+  // Scope every table to a run so replays get their own state
+  `
+  CREATE TABLE bets_scoped (
+    run_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    outcome_id TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, kind, outcome_id, wallet)
+  );
+  INSERT INTO bets_scoped SELECT 'live', kind, outcome_id, wallet, timestamp, data FROM bets;
+  DROP TABLE bets;
+  ALTER TABLE bets_scoped RENAME TO bets;
+  CREATE INDEX bets_timestamp ON bets (run_id, timestamp);
+
+  CREATE TABLE wallets_scoped (
+    run_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    checked_at INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, address)
+  );
+  INSERT INTO wallets_scoped SELECT 'live', address, checked_at, data FROM wallets;
+  DROP TABLE wallets;
+  ALTER TABLE wallets_scoped RENAME TO wallets;
+
+  CREATE TABLE alerted_outcomes_scoped (
+    run_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    outcome_id TEXT NOT NULL,
+    PRIMARY KEY (run_id, kind, outcome_id)
+  );
+  INSERT INTO alerted_outcomes_scoped SELECT 'live', kind, outcome_id FROM alerted_outcomes;
+  DROP TABLE alerted_outcomes;
+  ALTER TABLE alerted_outcomes_scoped RENAME TO alerted_outcomes;
+
+  CREATE TABLE meta_scoped (
+    run_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (run_id, key)
+  );
+  INSERT INTO meta_scoped SELECT 'live', key, value FROM meta;
+  DROP TABLE meta;
+  ALTER TABLE meta_scoped RENAME TO meta;
+
+  ALTER TABLE alerts ADD COLUMN run_id TEXT NOT NULL DEFAULT 'live';
+  CREATE INDEX alerts_run ON alerts (run_id, timestamp);
+
+  CREATE TABLE runs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    params TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER,
+    summary TEXT
+  );
+  `,
+  // Price buckets built from fills (lib/prices.js)
+  `
+  CREATE TABLE prices (
+    run_id TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    bucket INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, token_id, bucket)
+  );
+  CREATE INDEX prices_bucket ON prices (run_id, bucket);
+  `,
+  // Every decoded BUY/SELL fill, for wallet histories
+  `
+  CREATE TABLE fills (
+    run_id TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    token_id TEXT NOT NULL,
+    wallet TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, tx_hash, log_index, token_id)
+  );
+  CREATE INDEX fills_wallet ON fills (run_id, wallet, timestamp);
+  CREATE INDEX fills_timestamp ON fills (run_id, timestamp);
+  `,
+  // Alerted outcomes become alert episodes that can expire and re-arm
+  `
+  CREATE TABLE episodes (
+    run_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    scope_key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, kind, scope_key)
+  );
+  INSERT INTO episodes
+    SELECT run_id, kind, outcome_id, json_object('state', 'alerted', 'wave', 1, 'since', 0) FROM alerted_outcomes;
+  DROP TABLE alerted_outcomes;
+  `,
+  // Owners of contract wallets are chain facts, shared by every run
+  `
+  CREATE TABLE wallet_owners (
+    address TEXT PRIMARY KEY,
+    owner TEXT,
+    checked_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX wallet_owners_owner ON wallet_owners (owner);
+  `,
+  // Fills by block, so the ones from reorged blocks can be taken back
+  `
+  ALTER TABLE fills ADD COLUMN block_number INTEGER;
+  UPDATE fills SET block_number = json_extract(data, '$.blockNumber');
+  CREATE INDEX fills_block ON fills (run_id, block_number);
+  `,
+  // Clusters held back by market filter rules, one row per alert type and group
+  `
+  CREATE TABLE suppressions (
+    run_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    alert_type TEXT NOT NULL,
+    last_seen_at INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (run_id, id)
+  );
+  `,
+  // Alert IDs handed out by SQLite, so two alerts (or a replay and the live
+  // bot) can never get the same one; carries on from the highest existing ID
+  `
+  CREATE TABLE alert_ids (id INTEGER PRIMARY KEY AUTOINCREMENT);
+  INSERT INTO alert_ids (id) SELECT id FROM alerts ORDER BY id DESC LIMIT 1;
+  `,
+];
+
+function migrate(db) {
+  const version = db.pragma('user_version', { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+}
+
+function parseRun(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    params: JSON.parse(row.params),
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    summary: row.summary ? JSON.parse(row.summary) : null,
+  };
+}
+
+/**
+ * Open (and create if needed) the state database at `filename`. Reads and
+ * writes go to `runId`'s state.
+ */
+function openStore(filename, { runId = 'live' } = {}) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const stmts = {
+    selectBets: db.prepare('SELECT outcome_id, data FROM bets WHERE run_id = ? AND kind = ? ORDER BY timestamp'),
+    deleteOutcomeBets: db.prepare('DELETE FROM bets WHERE run_id = ? AND kind = ? AND outcome_id = ?'),
+    insertBet: db.prepare('INSERT INTO bets (run_id, kind, outcome_id, wallet, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)'),
+    pruneBets: db.prepare('DELETE FROM bets WHERE run_id = ? AND timestamp <= ?'),
+    selectWallets: db.prepare('SELECT address, data FROM wallets WHERE run_id = ?'),
+    upsertWallet: db.prepare('INSERT OR REPLACE INTO wallets (run_id, address, checked_at, data) VALUES (?, ?, ?, ?)'),
+    selectOwners: db.prepare('SELECT address, data FROM wallet_owners'),
+    upsertOwner: db.prepare('INSERT OR REPLACE INTO wallet_owners (address, owner, checked_at, data) VALUES (?, ?, ?, ?)'),
+    selectEpisodes: db.prepare('SELECT scope_key, data FROM episodes WHERE run_id = ? AND kind = ?'),
+    upsertEpisode: db.prepare('INSERT OR REPLACE INTO episodes (run_id, kind, scope_key, data) VALUES (?, ?, ?, ?)'),
+    deleteEpisode: db.prepare('DELETE FROM episodes WHERE run_id = ? AND kind = ? AND scope_key = ?'),
+    selectSuppressions: db.prepare('SELECT data FROM suppressions WHERE run_id = ? ORDER BY last_seen_at DESC'),
+    upsertSuppression: db.prepare('INSERT OR REPLACE INTO suppressions (run_id, id, alert_type, last_seen_at, data) VALUES (?, ?, ?, ?, ?)'),
+    pruneSuppressions: db.prepare("DELETE FROM suppressions WHERE run_id = ? AND last_seen_at <= ? AND json_extract(data, '$.releasedAt') IS NULL"),
+    selectAlerts: db.prepare('SELECT data FROM alerts WHERE run_id = ? ORDER BY timestamp DESC, id DESC'),
+    insertAlertId: db.prepare('INSERT INTO alert_ids DEFAULT VALUES'),
+    pruneAlertIds: db.prepare('DELETE FROM alert_ids WHERE id < ?'),
+    upsertAlert: db.prepare('INSERT OR REPLACE INTO alerts (id, run_id, outcome_id, alert_type, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)'),
+    selectPrices: db.prepare('SELECT token_id, data FROM prices WHERE run_id = ? ORDER BY bucket'),
+    upsertPrice: db.prepare('INSERT OR REPLACE INTO prices (run_id, token_id, bucket, data) VALUES (?, ?, ?, ?)'),
+    prunePrices: db.prepare('DELETE FROM prices WHERE run_id = ? AND bucket <= ?'),
+    insertFill: db.prepare('INSERT OR IGNORE INTO fills (run_id, tx_hash, log_index, token_id, wallet, timestamp, block_number, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'),
+    selectWalletFills: db.prepare('SELECT data FROM fills WHERE run_id = ? AND wallet = ? ORDER BY timestamp DESC, log_index DESC'),
+    selectWalletHistory: db.prepare('SELECT COUNT(*) AS fills, MIN(timestamp) AS first_seen FROM fills WHERE run_id = ? AND wallet = ? AND timestamp < ? AND token_id != ?'),
+    selectFillsSince: db.prepare('SELECT data FROM fills WHERE run_id = ? AND timestamp > ? ORDER BY timestamp, log_index'),
+    selectFillsFromBlock: db.prepare('SELECT data FROM fills WHERE run_id = ? AND block_number >= ? ORDER BY block_number, log_index'),
+    deleteFillsFromBlock: db.prepare('DELETE FROM fills WHERE run_id = ? AND block_number >= ?'),
+    pruneFills: db.prepare('DELETE FROM fills WHERE run_id = ? AND timestamp <= ?'),
+    selectMeta: db.prepare('SELECT value FROM meta WHERE run_id = ? AND key = ?'),
+    upsertMeta: db.prepare('INSERT OR REPLACE INTO meta (run_id, key, value) VALUES (?, ?, ?)'),
+    insertRun: db.prepare('INSERT INTO runs (id, status, params, started_at) VALUES (?, ?, ?, ?)'),
+    finishRun: db.prepare('UPDATE runs SET status = ?, finished_at = ?, summary = ? WHERE id = ?'),
+    selectRun: db.prepare('SELECT * FROM runs WHERE id = ?'),
+    selectRuns: db.prepare('SELECT * FROM runs ORDER BY started_at DESC'),
+  };
+
+  // Replace every stored bet for one outcome with the current in-memory list
+  const replaceBets = db.transaction((kind, outcomeId, bets) => {
+    stmts.deleteOutcomeBets.run(runId, kind, outcomeId);
+    for (const bet of bets) {
+      stmts.insertBet.run(runId, kind, outcomeId, bet.wallet.toLowerCase(), bet.timestamp, JSON.stringify(bet));
+    }
+  });
+
+  return {
+    runId,
+
+    /** Load tracked bets of one kind ('fresh' or 'all') as outcomeId → bets[] */
+    loadBets(kind) {
+      const byOutcome = new Map();
+      for (const row of stmts.selectBets.all(runId, kind)) {
+        if (!byOutcome.has(row.outcome_id)) byOutcome.set(row.outcome_id, []);
+        byOutcome.get(row.outcome_id).push(JSON.parse(row.data));
+      }
+      return byOutcome;
+    },
+
+    saveBets(kind, outcomeId, bets) {
+      replaceBets(kind, outcomeId, bets);
+    },
+
+    pruneBets(cutoff) {
+      return stmts.pruneBets.run(runId, cutoff).changes;
+    },
+
+    loadWallets() {
+      const wallets = new Map();
+      for (const row of stmts.selectWallets.all(runId)) {
+        wallets.set(row.address, JSON.parse(row.data));
+      }
+      return wallets;
+    },
+
+    saveWallet(address, info) {
+      stmts.upsertWallet.run(runId, address.toLowerCase(), info.checkedAt, JSON.stringify(info));
+    },
+
+    /** Resolved wallet owners (lib/owners.js) as address → info, for every run */
+    loadOwners() {
+      return new Map(stmts.selectOwners.all().map(row => [row.address, JSON.parse(row.data)]));
+    },
+
+    saveOwner(address, info) {
+      stmts.upsertOwner.run(address.toLowerCase(), info.owner ? info.owner.toLowerCase() : null, info.checkedAt, JSON.stringify(info));
+    },
+
+    /** Alert episodes of one kind as scopeKey → episode */
+    loadEpisodes(kind) {
+      return new Map(stmts.selectEpisodes.all(runId, kind).map(row => [row.scope_key, JSON.parse(row.data)]));
+    },
+
+    saveEpisode(kind, key, episode) {
+      stmts.upsertEpisode.run(runId, kind, key, JSON.stringify(episode));
+    },
+
+    deleteEpisode(kind, key) {
+      stmts.deleteEpisode.run(runId, kind, key);
+    },
+
+    /** Suppressed clusters as id → entry, most recently seen first */
+    loadSuppressions() {
+      return new Map(stmts.selectSuppressions.all(runId).map(row => {
+        const entry = JSON.parse(row.data);
+        return [entry.id, entry];
+      }));
+    },
+
+    saveSuppression(entry) {
+      stmts.upsertSuppression.run(runId, entry.id, entry.alertType, entry.lastSeenAt, JSON.stringify(entry));
+    },
+
+    /** Drop suppressions not seen since `cutoff`; released ones are kept */
+    pruneSuppressions(cutoff) {
+      return stmts.pruneSuppressions.run(runId, cutoff).changes;
+    },
+
+    /** Full alert history of a run (this one by default), newest first */
+    loadAlerts(forRunId = runId) {
+      return stmts.selectAlerts.all(forRunId).map(row => JSON.parse(row.data));
+    },
+
+    /** A new alert ID, unique across every run and process using this database */
+    nextAlertId() {
+      const id = Number(stmts.insertAlertId.run().lastInsertRowid);
+      // AUTOINCREMENT remembers the highest ID, so the rows themselves can go
+      stmts.pruneAlertIds.run(id);
+      return id;
+    },
+
+    saveAlert(alert) {
+      stmts.upsertAlert.run(alert.id, runId, alert.outcomeId, alert.alertType, alert.timestamp, JSON.stringify(alert));
+    },
+
+    /** Price buckets as tokenId → buckets[] (oldest first) */
+    loadPrices() {
+      const byToken = new Map();
+      for (const row of stmts.selectPrices.all(runId)) {
+        if (!byToken.has(row.token_id)) byToken.set(row.token_id, []);
+        byToken.get(row.token_id).push(JSON.parse(row.data));
+      }
+      return byToken;
+    },
+
+    savePrice(tokenId, bucket) {
+      stmts.upsertPrice.run(runId, tokenId, bucket.t, JSON.stringify(bucket));
+    },
+
+    prunePrices(cutoff) {
+      return stmts.prunePrices.run(runId, cutoff).changes;
+    },
+
+    /** Record a decoded fill; re-scanning the same log is a no-op */
+    saveFill(fill) {
+      stmts.insertFill.run(runId, fill.txHash, fill.logIndex, fill.tokenId, fill.wallet.toLowerCase(), fill.timestamp, fill.blockNumber, JSON.stringify(fill));
+    },
+
+    /** Every stored fill of one wallet, newest first */
+    walletFills(address) {
+      return stmts.selectWalletFills.all(runId, address.toLowerCase()).map(row => JSON.parse(row.data));
+    },
+
+    /** How many fills a wallet made before `before` on outcomes other than `tokenId`, and when the first was */
+    walletHistory(address, before, tokenId) {
+      const row = stmts.selectWalletHistory.get(runId, address.toLowerCase(), before, tokenId);
+      return { fills: row.fills, firstSeenAt: row.first_seen };
+    },
+
+    /** Stored fills after `since`, oldest first, read lazily */
+    *fillsSince(since) {
+      for (const row of stmts.selectFillsSince.iterate(runId, since)) yield JSON.parse(row.data);
+    },
+
+    /** Remove and return the fills recorded from `blockNumber` on, oldest first */
+    takeFillsFromBlock(blockNumber) {
+      return db.transaction(() => {
+        const fills = stmts.selectFillsFromBlock.all(runId, blockNumber).map(row => JSON.parse(row.data));
+        stmts.deleteFillsFromBlock.run(runId, blockNumber);
+        return fills;
+      })();
+    },
+
+    pruneFills(cutoff) {
+      return stmts.pruneFills.run(runId, cutoff).changes;
+    },
+
+    getMeta(key) {
+      const row = stmts.selectMeta.get(runId, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    setMeta(key, value) {
+      stmts.upsertMeta.run(runId, key, JSON.stringify(value));
+    },
+
+    /** Register a replay run; its status stays 'running' until finishRun() */
+    createRun(id, params) {
+      stmts.insertRun.run(id, 'running', JSON.stringify(params), Date.now());
+    },
+
+    finishRun(id, status, summary) {
+      stmts.finishRun.run(status, Date.now(), JSON.stringify(summary), id);
+    },
+
+    getRun(id) {
+      return parseRun(stmts.selectRun.get(id));
+    },
+
+    listRuns() {
+      return stmts.selectRuns.all().map(parseRun);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { openStore };
@@ -0,0 +1,137 @@
+/**
+ * WebSocket log subscription
+ *
+ * Keeps an eth_subscribe("logs") subscription open on a WebSocket endpoint
+ * so fills arrive as soon as their block does, plus a newHeads subscription
+ * that tells the caller how far the chain has got. ethers doesn't reconnect
+ * a dropped socket by itself, so this does, with exponential backoff; a
+ * socket that stays silent for `staleMs` counts as dropped too.
+ *
+ * Anything that happened while disconnected is the caller's to fetch:
+ * `onConnect` runs after every (re)connect, and logs pushed meanwhile are
+ * held back until it returns so they never overtake the gap fill.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * url: ws:// or wss:// endpoint
+ * filter: { address, topics } for the logs subscription
+ * handlers: onLog(log), onHead(blockNumber), onConnect({ head, reconnect })
+ * options: network (ethers Network), staleMs, connectTimeoutMs, baseBackoffMs, maxBackoffMs
+ *
+ * Returns { status(), stop() }.
+ */
+function createLogStream(url, filter, { onLog, onHead, onConnect }, {
+  network,
+  staleMs = 60 * 1000,
+  connectTimeoutMs = 15 * 1000,
+  baseBackoffMs = 1000,
+  maxBackoffMs = 60 * 1000,
+} = {}) {
+  let provider = null;
+  let stopped = false;
+  let failures = 0;
+  let retryTimer = null;
+  let held = null;
+
+  const state = {
+    connected: false,
+    connects: 0,
+    lastMessageAt: null,
+    lastError: null,
+  };
+
+  function drop(reason) {
+    if (!provider) return;
+    const closing = provider;
+    provider = null;
+    held = null;
+    state.connected = false;
+    closing.destroy().catch(() => {});
+    if (stopped) return;
+
+    failures++;
+    state.lastError = reason;
+    const delay = Math.min(maxBackoffMs, baseBackoffMs * 2 ** (failures - 1));
+    console.warn(`⚠️  WebSocket ${reason}, reconnecting in ${Math.ceil(delay / 1000)}s`);
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  async function connect() {
+    if (stopped) return;
+    const current = new ethers.WebSocketProvider(url, network, { staticNetwork: network });
+    provider = current;
+
+    // Without an error listener a refused connection would throw out of the socket
+    current.websocket.addEventListener('error', event => {
+      if (provider === current) drop(event.message || 'error');
+    });
+    current.websocket.addEventListener('close', () => {
+      if (provider === current) drop('closed');
+    });
+
+    let timeout;
+    try {
+      const head = await Promise.race([
+        current.getBlockNumber(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error(`no answer after ${connectTimeoutMs}ms`)), connectTimeoutMs);
+        }),
+      ]);
+      clearTimeout(timeout);
+      if (provider !== current) return;
+
+      // Hold pushed logs until the caller has caught up to here
+      held = [];
+      await current.on(filter, log => {
+        state.lastMessageAt = Date.now();
+        if (held) held.push(log);
+        else onLog(log);
+      });
+      await current.on('block', blockNumber => {
+        state.lastMessageAt = Date.now();
+        onHead(blockNumber);
+      });
+      state.connected = true;
+      state.lastMessageAt = Date.now();
+      state.connects++;
+
+      await onConnect({ head, reconnect: state.connects > 1 });
+      if (provider !== current) return;
+      const pending = held;
+      held = null;
+      for (const log of pending) onLog(log);
+      failures = 0;
+    } catch (error) {
+      clearTimeout(timeout);
+      if (provider === current) drop(error.message);
+    }
+  }
+
+  // A half-open socket never closes; newHeads going quiet is the only sign
+  const watchdog = setInterval(() => {
+    if (state.connected && Date.now() - state.lastMessageAt > staleMs) {
+      drop(`silent for ${Math.round(staleMs / 1000)}s`);
+    }
+  }, Math.max(1000, staleMs / 4));
+  watchdog.unref();
+
+  connect();
+
+  return {
+    /** Connection state and counters, for stats */
+    status() {
+      return { ...state, reconnects: Math.max(0, state.connects - 1) };
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(watchdog);
+      clearTimeout(retryTimer);
+      drop('stopped');
+    },
+  };
+}
+
+module.exports = { createLogStream };
@@ -14,6 +14,30 @@ const http = require('http');
 const { Server } = require('socket.io');
 const { ethers } = require('ethers');
 const path = require('path');
+const { fork } = require('child_process');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { openStore } = require('./lib/storage');
+const { decodeOrderFilled, decodeAdapterEvent } = require('./lib/fills');
+const { createBlockClock } = require('./lib/blocktime');
+const { createNotifier } = require('./lib/notifiers');
+const { loadConfig, watchConfig, ConfigError } = require('./lib/config');
+const { createFundingResolver } = require('./lib/funding');
+const { createFundingGraph } = require('./lib/funding-graph');
+const { clusterStats, scoreCluster } = require('./lib/scoring');
+const { createPriceHistory } = require('./lib/prices');
+const { fetchGammaResolution, decodeConditionResolution, conditionalTokensContract } = require('./lib/resolution');
+const { precisionReport } = require('./lib/report');
+const { buildPositions } = require('./lib/positions');
+const { createBaselines } = require('./lib/baseline');
+const { REASONS: FRESHNESS_REASONS, classifyFreshness, depositCouldTip } = require('./lib/freshness');
+const { createOwnerResolver } = require('./lib/owners');
+const { createProviderPool } = require('./lib/rpc');
+const { createReorgTracker } = require('./lib/reorgs');
+const { createLogStream } = require('./lib/stream');
+const { mapLimit, createRateMeter } = require('./lib/pipeline');
+const { createHistogram, createExposition, samplesBy } = require('./lib/metrics');
+const { compileRules, firstMatch } = require('./lib/filters');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,39 +47,109 @@ const io = new Server(server);
 // CONFIGURATION
 // ============================================================================
 
-const CONFIG = {
-  rpcUrl: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
-  ctfExchangeAddress: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E',
-  freshWalletThreshold: 10,
-  minBetAmount: 1000, // Minimum bet in USD for fresh wallet cluster
-  // New filter: 20+ wallets (any) betting $100+
-  anyWalletThreshold: 20,
-  anyWalletMinBet: 100,
-  timeWindowMs: 24 * 60 * 60 * 1000,
-  pollIntervalMs: 30 * 1000,
-  startBlocksBack: 50,
-  port: process.env.PORT || 3000,
-};
+// Defaults, schema and env overrides live in lib/config.js; put local settings
+// in polyfreshy.config.json (or .yaml). Thresholds and filters hot-reload.
+let CONFIG;
+try {
+  CONFIG = loadConfig({ rootDir: __dirname });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+// node server.js --replay (--from-block N | --from-date ISO) [--to-block N | --to-date ISO] [--run-id ID]
+const { values: cli } = parseArgs({
+  options: {
+    replay: { type: 'boolean' },
+    'from-block': { type: 'string' },
+    'to-block': { type: 'string' },
+    'from-date': { type: 'string' },
+    'to-date': { type: 'string' },
+    'run-id': { type: 'string' },
+  },
+});
+
+const REPLAY = cli.replay ? {
+  runId: cli['run-id'] || `replay-${Date.now()}`,
+  fromBlock: cli['from-block'] !== undefined ? Number(cli['from-block']) : null,
+  toBlock: cli['to-block'] !== undefined ? Number(cli['to-block']) : null,
+  fromDate: cli['from-date'] || null,
+  toDate: cli['to-date'] || null,
+} : null;
+
+// Everything watched lives on Polygon PoS
+const POLYGON = ethers.Network.from('matic');
+
+// Longest wait between attempts while the RPC keeps failing
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Poll rounds failing in a row before the bot counts as disconnected
+const MAX_POLL_FAILURES = 3;
+
+// Readiness fails once the last successful poll is this many intervals old
+const READY_MAX_POLL_INTERVALS = 3;
 
 // ============================================================================
-// CTF EXCHANGE ABI
+// CONTRACT ABIS
 // ============================================================================
 
+// Shared by the CTF Exchange and the NegRisk CTF Exchange
 const CTF_EXCHANGE_ABI = [
   'event OrderFilled(bytes32 indexed orderHash, address indexed maker, address indexed taker, uint256 makerAssetId, uint256 takerAssetId, uint256 makerAmountFilled, uint256 takerAmountFilled, uint256 fee)',
 ];
 
+const NEG_RISK_ADAPTER_ABI = [
+  'event PositionSplit(address indexed stakeholder, bytes32 indexed conditionId, uint256 amount)',
+  'event PositionsConverted(address indexed stakeholder, bytes32 indexed marketId, uint256 indexed indexSet, uint256 amount)',
+];
+
+const VENUE_KINDS = {
+  exchange: {
+    abi: CTF_EXCHANGE_ABI,
+    events: ['OrderFilled'],
+    decode: event => decodeOrderFilled(event.args),
+  },
+  adapter: {
+    abi: NEG_RISK_ADAPTER_ABI,
+    events: ['PositionSplit', 'PositionsConverted'],
+    decode: event => decodeAdapterEvent(event.eventName, event.args),
+  },
+};
+
+// Watched contracts show up as makers/takers of their own fills, never as bettors
+const VENUE_ADDRESSES = new Set(CONFIG.exchanges.map(e => e.address.toLowerCase()));
+
 // ============================================================================
 // DATA STRUCTURES
 // ============================================================================
 
-const betsByOutcome = new Map(); // Fresh wallets with $1000+ bets
-const allBetsByOutcome = new Map(); // All wallets with $100+ bets
-const walletCache = new Map();
-const alertedOutcomes = new Set();
-const alertedOutcomesAll = new Set(); // For the 20+ any wallet alerts
+// Everything except marketCache is persisted, so a restart resumes the window.
+// A replay gets its own run in the same database and starts from empty state.
+const store = openStore(CONFIG.dbPath, { runId: REPLAY ? REPLAY.runId : 'live' });
+
+const betsByOutcome = store.loadBets('fresh'); // Fresh wallets with $1000+ bets
+const allBetsByOutcome = store.loadBets('all'); // All wallets with $100+ bets
+const walletCache = store.loadWallets();
+// Alert episode per detection group, for fresh and 20+ any wallet alerts (see expireEpisodes)
+const episodes = { fresh: store.loadEpisodes('fresh'), all: store.loadEpisodes('all') };
 const marketCache = new Map();
 
+// What each outcome traded at, from every BUY/SELL fill we decode
+const priceHistory = createPriceHistory();
+for (const [tokenId, buckets] of store.loadPrices()) priceHistory.load(tokenId, buckets);
+
+// Hourly buying activity per outcome, relearned from stored fills on restart
+const baselines = createBaselines();
+for (const fill of store.fillsSince(Date.now() - CONFIG.baselineWindowMs)) {
+  if (fill.side !== 'BUY') continue;
+  baselines.record(fill.tokenId, fill.timestamp, { ...fill, fresh: knownFreshness(fill.wallet) });
+}
+
 // Stats for dashboard
 const stats = {
   totalTrades: 0,
@@ -63,67 +157,217 @@ const stats = {
   alertsTriggered: 0,
   startTime: Date.now(),
   lastBlock: 0,
+  // Newest block whose events have all been applied
+  processedBlock: 0,
+  // Blocks at or below this are `confirmations` deep and never rolled back
+  finalizedBlock: 0,
+  reorgs: 0,
   isConnected: false,
+  // When the live loop last finished a round without an error
+  lastPollAt: null,
+  tradesByVenue: {},
+  alertsByType: {},
+  cache: { wallet: { hits: 0, misses: 0 }, market: { hits: 0, misses: 0 } },
+  // How fills arrive ('poll' or 'websocket') and how long after its block's
+  // timestamp the newest one was applied
+  ingest: { mode: 'poll', latencyMs: null, avgLatencyMs: null, lastEventAt: null, gapFills: 0 },
+  // Events applied per second over the last minute, what's left of the batch
+  // and scan in progress, and the wallet lookups done ahead of them
+  pipeline: { eventsPerSec: 0, backlogEvents: 0, backlogBlocks: 0, walletLookups: 0, lookupMs: null },
 };
+const throughput = createRateMeter();
+
+// JSON-RPC calls through the pool, by method: { ok, errors, latency }
+const rpcCalls = new Map();
+function recordRpcCall(method, seconds, ok) {
+  if (!rpcCalls.has(method)) rpcCalls.set(method, { ok: 0, errors: 0, latency: createHistogram() });
+  const calls = rpcCalls.get(method);
+  if (ok) calls.ok++;
+  else calls.errors++;
+  calls.latency.observe(seconds);
+}
+
+// Full alert history for the dashboard, newest first
+const alerts = store.loadAlerts();
 
-// Store alerts for dashboard
-const alerts = [];
+// Unresolved cluster alerts by `${wallet}:${tokenId}` of their wallet entries,
+// so a sell finds its alerts without going through the whole history. Wallets
+// that later dropped out of an alert stay listed; lookups check the entry.
+const openAlertsByHolding = new Map();
+alerts.forEach(indexAlert);
+
+// Clusters held back by market filter rules, by `${alertType}:${scopeKey}` (see suppressCluster)
+const suppressions = store.loadSuppressions();
+
+// Set up by connect() once there's a provider
+let rpcPool = null;
+let fundingResolver = null;
+let fundingGraph = null;
+let ownerResolver = null;
+let blockClock = null;
+let logStream = null;
+
+// Replays only report what would have fired; they never notify anyone
+const notifier = createNotifier(REPLAY ? [] : CONFIG.notifiers);
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-async function isWalletFresh(provider, walletAddress) {
-  const cached = walletCache.get(walletAddress.toLowerCase());
-  if (cached && Date.now() - cached.checkedAt < 60 * 60 * 1000) {
-    return cached;
-  }
+// Entries without a `kind` predate the classifier and are checked again
+function cachedSignals(key) {
+  const cached = walletCache.get(key);
+  return cached && cached.kind && Date.now() - cached.checkedAt < 60 * 60 * 1000 ? cached : null;
+}
+
+// Nonce and owner of a wallet, before any funding trace
+async function lookupSignals(provider, walletAddress, blockTag) {
+  const [txCount, wallet] = await Promise.all([
+    provider.getTransactionCount(walletAddress, blockTag),
+    ownerResolver.resolve(walletAddress, { blockTag }),
+  ]);
+  // A contract wallet's own nonce never moves; the EOA that owns it is the one to check
+  const ownerTxCount = wallet.owner ? await provider.getTransactionCount(wallet.owner, blockTag) : null;
   
-  try {
-    // Check total transaction count
-    const txCount = await provider.getTransactionCount(walletAddress);
-    
-    // A wallet is "fresh" if it has very few transactions
-    const isFresh = txCount <= 5;
-    
-    // Get funding source (first transaction that sent ETH/MATIC to this wallet)
-    let funder = null;
+  return {
+    kind: wallet.kind,
+    owner: wallet.owner,
+    txCount,
+    ownerTxCount,
+    funder: null,
+    funding: null,
+    fundingChecked: false,
+    firstDepositAt: null,
+    checkedAt: Date.now(),
+  };
+}
+
+async function traceFunding(walletAddress, beforeBlock) {
+  const funding = await fundingResolver.resolve(walletAddress, { beforeBlock });
+  return { funding, firstDepositAt: funding ? await blockClock.getTimestamp(funding.block) : null };
+}
+
+// Score cached or looked-up signals against the wallet's fill history
+function scoreWallet(signals, history, timestamp) {
+  return classifyFreshness({
+    kind: signals.kind,
+    txCount: signals.txCount,
+    ownerTxCount: signals.ownerTxCount,
+    depositChecked: signals.fundingChecked,
+    depositAt: signals.firstDepositAt,
+    priorFills: history.fills,
+    firstSeenAt: history.firstSeenAt,
+  }, timestamp, {
+    maxTxCount: CONFIG.maxFreshTxCount,
+    maxAgeMs: CONFIG.freshMaxAgeMs,
+    threshold: CONFIG.freshScoreThreshold,
+  });
+}
+
+// Lookups prefetchWallets() started for the chunk being applied, by address:
+// { signals, funding } promises that isWalletFresh takes instead of asking again
+const prefetched = new Map();
+
+// `blockNumber` is the trade's block: replays read the nonce and code as of
+// that block, and the funding trace never looks past it. The wallet's signals
+// are cached for an hour, but it is scored again on every trade: its deposit's
+// age and its fill history depend on when and what it traded (lib/freshness.js)
+async function isWalletFresh(provider, walletAddress, blockNumber, timestamp, tokenId) {
+  const key = walletAddress.toLowerCase();
+  const cached = walletCache.get(key);
+  const early = prefetched.get(key) || {};
+  prefetched.delete(key);
+  let result;
+  // Only a lookup, a funding trace or a new verdict needs writing back
+  let changed = true;
+  
+  if (cachedSignals(key)) {
+    stats.cache.wallet.hits++;
+    result = { ...cached };
+    changed = false;
+  } else {
+    stats.cache.wallet.misses++;
     try {
-      // Query for incoming transactions to find the funder
-      // We'll check the wallet's first few internal transactions
-      const response = await fetch(
-        `https://api.polygonscan.com/api?module=account&action=txlist&address=${walletAddress}&startblock=0&endblock=99999999&page=1&offset=5&sort=asc&apikey=YourApiKeyToken`
-      );
-      if (response.ok) {
-        const data = await response.json();
-        if (data.result && data.result.length > 0) {
-          // Find the first incoming transaction (potential funder)
-          const incomingTx = data.result.find(tx => tx.to.toLowerCase() === walletAddress.toLowerCase());
-          if (incomingTx) {
-            funder = incomingTx.from;
-          }
-        }
-      }
-    } catch (e) {
-      // Ignore funding source errors, continue without it
+      result = await (early.signals || lookupSignals(provider, walletAddress, REPLAY ? blockNumber : 'latest'));
+    } catch (error) {
+      return { isFresh: false, funder: null, txCount: 0, freshnessScore: 0, freshnessReasons: [], checkedAt: Date.now() };
     }
-    
-    const result = { 
-      isFresh, 
-      funder,
-      txCount,
-      checkedAt: Date.now() 
-    };
-    
-    walletCache.set(walletAddress.toLowerCase(), result);
-    return result;
-  } catch (error) {
-    return { isFresh: false, funder: null, txCount: 0, checkedAt: Date.now() };
   }
+  
+  const history = identityHistory(walletAddress, result.owner, timestamp, tokenId);
+  const classify = () => scoreWallet(result, history, timestamp);
+  let verdict = classify();
+  
+  // Tracing the first deposit costs several getLogs calls, so only wallets it
+  // could still make fresh get one
+  if (!result.fundingChecked && depositCouldTip(verdict, CONFIG.freshScoreThreshold)) {
+    const { funding, firstDepositAt } = await (early.funding || traceFunding(walletAddress, blockNumber));
+    result.funding = funding;
+    result.funder = funding ? funding.funder : null;
+    result.firstDepositAt = firstDepositAt;
+    result.fundingChecked = true;
+    verdict = classify();
+    changed = true;
+  }
+  
+  // Fill history moves on between hits, so the same signals can score differently
+  if (result.isFresh !== verdict.isFresh || result.freshnessScore !== verdict.score || String(result.freshnessReasons) !== String(verdict.reasons)) {
+    changed = true;
+  }
+  result.isFresh = verdict.isFresh;
+  result.freshnessScore = verdict.score;
+  result.freshnessReasons = verdict.reasons;
+  
+  if (changed) {
+    walletCache.set(key, result);
+    store.saveWallet(walletAddress, result);
+  }
+  return result;
+}
+
+// Fills before `before` on other outcomes than `tokenId`, counting every
+// wallet with the same owner as one trader
+function identityHistory(address, owner, before, tokenId) {
+  const addresses = new Set([address.toLowerCase(), ...(owner ? ownerResolver.walletsOf(owner) : [])]);
+  const history = { fills: 0, firstSeenAt: null };
+  for (const wallet of addresses) {
+    const { fills, firstSeenAt } = store.walletHistory(wallet, before, tokenId);
+    history.fills += fills;
+    if (firstSeenAt !== null && (history.firstSeenAt === null || firstSeenAt < history.firstSeenAt)) history.firstSeenAt = firstSeenAt;
+  }
+  return history;
+}
+
+// Wallets controlled by the same EOA (Safes and proxy wallets, see
+// lib/owners.js) are one trader. Only owners already resolved are known here.
+function walletIdentity(address) {
+  const owner = ownerResolver ? ownerResolver.ownerOf(address) : null;
+  return (owner || address).toLowerCase();
+}
+
+// Every address an alert's wallet entry stands for
+function entryAddresses(entry) {
+  return (entry.addresses || [entry.address]).map(a => a.toLowerCase());
+}
+
+// Freshness from the wallet's last check, or null for wallets never checked
+function knownFreshness(wallet) {
+  const cached = walletCache.get(wallet.toLowerCase());
+  return cached ? Boolean(cached.isFresh) : null;
 }
 
-function cleanupOldBets() {
-  const cutoff = Date.now() - CONFIG.timeWindowMs;
+// `now` is chain time (latest block timestamp), so the window follows block time
+function cleanupOldBets(now) {
+  const cutoff = now - CONFIG.timeWindowMs;
+  store.pruneBets(cutoff);
+  
+  // Price history outlives the bet window so alerts can show where the price went
+  priceHistory.prune(now - CONFIG.priceHistoryMs);
+  baselines.prune(now - CONFIG.baselineWindowMs);
+  store.prunePrices(now - CONFIG.priceHistoryMs);
+  // Fills are history for wallet profiles and freshness: only pruned when asked to
+  if (CONFIG.fillRetentionMs !== null) store.pruneFills(now - CONFIG.fillRetentionMs);
+  pruneSuppressions(now - CONFIG.suppressionRetentionMs);
   
   // Cleanup fresh wallet bets
   for (const [outcomeId, bets] of betsByOutcome.entries()) {
@@ -144,15 +388,88 @@ function cleanupOldBets() {
       allBetsByOutcome.set(outcomeId, filteredBets);
     }
   }
+  
+  expireEpisodes(now);
+}
+
+function countAlert(alertType) {
+  stats.alertsTriggered++;
+  stats.alertsByType[alertType] = (stats.alertsByType[alertType] || 0) + 1;
+}
+
+function setEpisode(kind, key, episode) {
+  episodes[kind].set(key, episode);
+  store.saveEpisode(kind, key, episode);
+}
+
+/**
+ * Alert episodes, one per detection group and kind ('fresh' / 'all'):
+ *
+ *   alerted   the cluster fired alertId; new bets update that alert
+ *   filtered  the cluster reached the threshold on an unknown market or one
+ *             a filter rule suppressed; releasing it from the dashboard
+ *             turns it into a cooldown that is already re-armed
+ *   cooldown  the cluster decayed below the threshold as its bets left the
+ *             window. Nothing fires before rearmAt; after that a new wave
+ *             counts only bets placed since the episode ended
+ *
+ * An episode's cluster is the group's bets placed after `since`. Re-armed
+ * episodes are forgotten once none of the group's bets are left.
+ */
+function expireEpisodes(now) {
+  const kinds = [
+    ['fresh', betsByOutcome, CONFIG.freshWalletThreshold],
+    ['all', allBetsByOutcome, CONFIG.anyWalletThreshold],
+  ];
+  
+  for (const [kind, betMap, threshold] of kinds) {
+    const betsByKey = new Map();
+    for (const [tokenId, bets] of betMap.entries()) {
+      const key = scopeKey(tokenId);
+      if (!betsByKey.has(key)) betsByKey.set(key, []);
+      betsByKey.get(key).push(...bets.filter(b => kind === 'all' || b.isFresh));
+    }
+    
+    for (const [key, episode] of episodes[kind].entries()) {
+      const bets = betsByKey.get(key) || [];
+      
+      if (episode.state === 'cooldown') {
+        if (now >= episode.rearmAt && !bets.length) {
+          episodes[kind].delete(key);
+          store.deleteEpisode(kind, key);
+        }
+        continue;
+      }
+      
+      const wallets = new Set(bets.filter(b => b.timestamp > episode.since).map(b => b.wallet.toLowerCase()));
+      if (wallets.size >= threshold) continue;
+      
+      setEpisode(kind, key, { ...episode, state: 'cooldown', expiredAt: now, rearmAt: now + CONFIG.alertCooldownMs, since: now });
+      
+      const alert = episode.alertId && alerts.find(a => a.id === episode.alertId);
+      if (alert) {
+        alert.expiredAt = now;
+        store.saveAlert(alert);
+        io.emit('alertUpdate', alert);
+        notifier.forget(alert);
+        console.log(`💤 Episode ended: ${alert.question} - ${alert.outcome} (${alert.alertType}, ${wallets.size} wallets left)`);
+      }
+    }
+  }
 }
 
+// Cached for marketInfoTtlMs: filter rules compare endDate, liquidity and
+// volume, which move. When Gamma can't be reached the stale entry is kept.
 async function getMarketInfo(tokenId) {
-  if (marketCache.has(tokenId)) {
-    return marketCache.get(tokenId);
+  const cached = marketCache.get(tokenId);
+  if (cached && Date.now() - cached.fetchedAt < CONFIG.marketInfoTtlMs) {
+    stats.cache.market.hits++;
+    return cached;
   }
+  stats.cache.market.misses++;
   
   try {
-    const response = await fetch(`https://gamma-api.polymarket.com/markets?clob_token_ids=${tokenId}`);
+    const response = await fetch(`https://gamma-api.polymarket.com/markets?clob_token_ids=${tokenId}&include_tag=true`);
     if (response.ok) {
       const data = await response.json();
       if (data && data.length > 0) {
@@ -164,6 +481,8 @@ async function getMarketInfo(tokenId) {
         const outcomes = JSON.parse(market.outcomes || '[]');
         const prices = JSON.parse(market.outcomePrices || '[]');
         
+        const event = (market.events || [])[0];
+        
         const tokenIndex = tokenIds.indexOf(tokenId);
         if (tokenIndex !== -1) {
           outcome = outcomes[tokenIndex] || 'Unknown';
@@ -173,142 +492,590 @@ async function getMarketInfo(tokenId) {
         const marketInfo = {
           question: market.question || 'Unknown Market',
           outcome: outcome,
+          outcomeIndex: tokenIndex !== -1 ? tokenIndex : null,
           price: price,
           slug: market.slug,
           image: market.image,
+          category: market.category || null,
           conditionId: market.conditionId,
+          // Sibling markets (e.g. each candidate in an election) share an event
+          eventId: event ? String(event.id) : null,
+          eventSlug: event ? event.slug : null,
+          eventTitle: event ? event.title : null,
           marketSlug: market.marketSlug,
           id: market.id,
+          // What market filter rules match on besides the above
+          tags: (market.tags || (event && event.tags) || []).map(tag => ({ label: tag.label, slug: tag.slug })),
+          endDate: market.endDate ? Date.parse(market.endDate) || null : null,
+          liquidity: numberOrNull(market.liquidityNum ?? market.liquidity),
+          volume: numberOrNull(market.volumeNum ?? market.volume),
+          fetchedAt: Date.now(),
         };
         
         marketCache.set(tokenId, marketInfo);
         return marketInfo;
       }
     }
-    return null;
+    return cached || null;
   } catch (error) {
-    return null;
+    return cached || null;
+  }
+}
+
+// Gamma sends some numbers as strings
+function numberOrNull(value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+}
+
+// CONFIG.marketFilters followed by marketFilterPatterns as one last deny rule,
+// compiled again whenever a reload swaps either array
+let compiledFilters = { filters: null, patterns: null, rules: [] };
+
+/** The filter rule suppressing an `alertType` alert on this market, or null if it may fire */
+function denyingRule(marketInfo, alertType, now) {
+  if (compiledFilters.filters !== CONFIG.marketFilters || compiledFilters.patterns !== CONFIG.marketFilterPatterns) {
+    const legacy = CONFIG.marketFilterPatterns.length
+      ? [{ name: 'marketFilterPatterns', action: 'deny', question: CONFIG.marketFilterPatterns }]
+      : [];
+    compiledFilters = {
+      filters: CONFIG.marketFilters,
+      patterns: CONFIG.marketFilterPatterns,
+      rules: compileRules([...CONFIG.marketFilters, ...legacy]),
+    };
   }
+  
+  const rule = firstMatch(compiledFilters.rules, marketInfo, alertType, now);
+  return rule && rule.action === 'deny' ? rule : null;
 }
 
 /**
- * Check if market should be filtered out (crypto short-term markets)
+ * Run a cluster that is about to alert past the market filter rules. If a
+ * rule denies it, it goes on the suppressed list (or its entry there is
+ * refreshed) and the entry is returned; null means go ahead and alert. A
+ * group released from the dashboard is never suppressed again for that
+ * alert type.
  */
-function shouldFilterMarket(marketInfo) {
-  if (!marketInfo || !marketInfo.question) return false;
-  
-  const question = marketInfo.question.toLowerCase();
-  
-  // Filter out ALL crypto short-term price markets (1min, 5min, 15min, up/down)
-  const filterPatterns = [
-    // Time-based patterns
-    /\d+[\s-]?min/i,
-    /\d+[\s-]?minute/i,
-    /1-min/i,
-    /5-min/i,
-    /15-min/i,
-    
-    // Up or down patterns
-    /up or down/i,
-    /higher or lower/i,
-    /above or below/i,
-    
-    // Price at specific time
-    /price.*\d+[:\d]*\s*(am|pm|utc|et|pt)/i,
-    /at \d+[:\d]*\s*(am|pm|utc|et|pt)/i,
-    
-    // Crypto + short term indicators
-    /(bitcoin|btc|ethereum|eth|solana|sol|doge|xrp|crypto).*\d+[:\d]*\s*(am|pm|utc)/i,
-    /(bitcoin|btc|ethereum|eth|solana|sol|doge|xrp|crypto).*(up|down|higher|lower)/i,
-  ];
+function suppressCluster(alertType, key, marketInfo, { outcomeId, walletCount, totalAmount }, now) {
+  const id = `${alertType}:${key}`;
+  const existing = suppressions.get(id);
+  if (existing && existing.releasedAt) return null;
+  
+  const rule = denyingRule(marketInfo, alertType, now);
+  if (!rule) return null;
+  
+  const entry = {
+    id,
+    alertType,
+    scopeKey: key,
+    outcomeId,
+    question: marketInfo.question,
+    outcome: marketInfo.outcome,
+    slug: marketInfo.slug,
+    eventTitle: marketInfo.eventTitle,
+    polymarketUrl: marketInfo.slug ? `https://polymarket.com/event/${marketInfo.slug}` : null,
+    rule: rule.name,
+    walletCount,
+    totalAmount,
+    suppressedAt: existing ? existing.suppressedAt : now,
+    lastSeenAt: now,
+    releasedAt: null,
+  };
+  suppressions.set(id, entry);
+  store.saveSuppression(entry);
+  if (!existing || existing.walletCount !== walletCount) io.emit('suppressed', suppressedList());
+  return entry;
+}
+
+// Released entries stay, since they're what lets their groups alert
+function pruneSuppressions(cutoff) {
+  let pruned = 0;
+  for (const [id, entry] of suppressions) {
+    if (entry.releasedAt || entry.lastSeenAt > cutoff) continue;
+    suppressions.delete(id);
+    pruned++;
+  }
+  store.pruneSuppressions(cutoff);
+  if (pruned) io.emit('suppressed', suppressedList());
+}
+
+// Suppressed clusters still held back, most recently seen first
+function suppressedList() {
+  return [...suppressions.values()].filter(s => !s.releasedAt).sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+/**
+ * Let a suppressed group's alerts of that type through from now on. A
+ * fresh/volume group is re-armed with the bets it had when it was held back
+ * and checked again, queued behind any chunk being applied so the two can't
+ * both alert; the returned promise settles once that's done.
+ */
+function releaseSuppression(entry) {
+  entry.releasedAt = Date.now();
+  store.saveSuppression(entry);
+  io.emit('suppressed', suppressedList());
+  console.log(`🔓 Released: ${entry.question} - ${entry.outcome} (${entry.alertType}, was ${entry.rule})`);
+  
+  return serially(async () => {
+    const kind = { fresh: 'fresh', volume: 'all' }[entry.alertType];
+    const episode = kind && episodes[kind].get(entry.scopeKey);
+    if (episode && episode.state === 'filtered') {
+      setEpisode(kind, entry.scopeKey, { ...episode, state: 'cooldown', rearmAt: 0 });
+    }
+    await recheckTrackedOutcomes();
+  });
+}
+
+/**
+ * Key of the group an outcome token is detected in (CONFIG.detectionScope):
+ *   outcome  the token itself
+ *   market   'market:<conditionId>', both sides of one market
+ *   event    'event:<eventId>', every market of an event
+ * Tokens whose market hasn't been looked up yet fall back to their own group.
+ */
+function scopeKey(tokenId) {
+  if (CONFIG.detectionScope === 'outcome') return tokenId;
+  const market = marketCache.get(tokenId);
+  if (!market) return tokenId;
+  if (CONFIG.detectionScope === 'event' && market.eventId) return `event:${market.eventId}`;
+  return market.conditionId ? `market:${market.conditionId}` : tokenId;
+}
+
+/**
+ * One bet per wallet across every tracked token in a group, oldest first.
+ * A wallet that bought several outcomes of the group gets its amounts and
+ * shares summed, with the per-token split kept in `legs`.
+ */
+function clusterBets(betMap, key) {
+  const tokenIds = CONFIG.detectionScope === 'outcome'
+    ? [key]
+    : [...betMap.keys()].filter(tokenId => scopeKey(tokenId) === key);
+  
+  const byWallet = new Map();
+  for (const tokenId of tokenIds) {
+    for (const bet of betMap.get(tokenId) || []) {
+      const leg = { tokenId, amount: bet.amount || 0, shares: bet.shares || 0 };
+      const identity = walletIdentity(bet.wallet);
+      const merged = byWallet.get(identity);
+      if (!merged) {
+        const owner = ownerResolver ? ownerResolver.ownerOf(bet.wallet) : null;
+        byWallet.set(identity, { ...bet, tokenId, legs: [leg], owner, addresses: [bet.wallet] });
+        continue;
+      }
+      if (!merged.addresses.some(a => a.toLowerCase() === bet.wallet.toLowerCase())) merged.addresses.push(bet.wallet);
+      merged.legs.push(leg);
+      merged.amount += leg.amount;
+      merged.shares += leg.shares;
+      merged.sold = (merged.sold || 0) + (bet.sold || 0);
+      merged.soldUsdc = (merged.soldUsdc || 0) + (bet.soldUsdc || 0);
+      merged.price = merged.shares > 0 ? merged.amount / merged.shares : null;
+      if (bet.timestamp < merged.timestamp) Object.assign(merged, { timestamp: bet.timestamp, blockNumber: bet.blockNumber, txHash: bet.txHash });
+    }
+  }
+  return [...byWallet.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Per-token breakdown of a group's bets, most money first
+function outcomeBreakdown(bets) {
+  const byToken = new Map();
+  for (const bet of bets) {
+    // Wallets of the same owner are merged into one bet with a leg each
+    const counted = new Set();
+    for (const leg of bet.legs) {
+      const entry = byToken.get(leg.tokenId) || { outcomeId: leg.tokenId, wallets: 0, amount: 0 };
+      if (!counted.has(leg.tokenId)) entry.wallets++;
+      counted.add(leg.tokenId);
+      entry.amount += leg.amount;
+      byToken.set(leg.tokenId, entry);
+    }
+  }
+  return [...byToken.values()]
+    .map(entry => {
+      const market = marketCache.get(entry.outcomeId);
+      return { ...entry, question: market ? market.question : null, outcome: market ? market.outcome : null };
+    })
+    .sort((a, b) => b.amount - a.amount);
+}
+
+/**
+ * Multi-hop funding clusters among a set of bets' wallets, biggest first.
+ * Only clusters of at least CONFIG.fundingClusterMinWallets are kept.
+ */
+async function analyzeFundingClusters(bets) {
+  if (!fundingGraph) return [];
+  
+  for (const bet of bets) {
+    const cached = walletCache.get(bet.wallet.toLowerCase());
+    if (cached && cached.fundingChecked) fundingGraph.remember(bet.wallet, cached.funding);
+  }
+  
+  try {
+    const clusters = await fundingGraph.clusters(bets.map(b => ({ address: b.wallet, beforeBlock: b.blockNumber })));
+    return clusters.filter(c => c.walletCount >= CONFIG.fundingClusterMinWallets);
+  } catch (error) {
+    console.error(`Funding graph failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Funding ancestors seen in alerts, grouped across markets. With `all` false
+ * only ancestors behind clusters on 2+ different outcomes are returned.
+ */
+function crossMarketAncestors(all = false) {
+  const byAncestor = new Map();
+  
+  for (const alert of alerts) {
+    for (const cluster of alert.fundingClusters || []) {
+      if (!byAncestor.has(cluster.ancestor)) {
+        byAncestor.set(cluster.ancestor, { ancestor: cluster.ancestor, outcomes: new Set(), wallets: new Set(), alerts: [] });
+      }
+      const entry = byAncestor.get(cluster.ancestor);
+      entry.outcomes.add(alert.outcomeId);
+      cluster.wallets.forEach(w => entry.wallets.add(w));
+      entry.alerts.push({
+        id: alert.id,
+        outcomeId: alert.outcomeId,
+        question: alert.question,
+        outcome: alert.outcome,
+        walletCount: cluster.walletCount,
+        hops: cluster.hops,
+        timestamp: alert.timestamp,
+      });
+    }
+  }
+  
+  return [...byAncestor.values()]
+    .filter(entry => all || entry.outcomes.size >= 2)
+    .map(entry => ({
+      ancestor: entry.ancestor,
+      marketCount: entry.outcomes.size,
+      walletCount: entry.wallets.size,
+      alerts: entry.alerts,
+    }))
+    .sort((a, b) => b.marketCount - a.marketCount || b.walletCount - a.walletCount);
+}
+
+/**
+ * Score a cluster of bets with the configured rules (lib/scoring.js) and
+ * return the alert fields describing it. New alerts and their updates both
+ * go through here, so an update always carries the current breakdown.
+ */
+async function assessCluster(alertType, outcomeId, bets) {
+  // Volume clusters are mostly established wallets: score them on funding
+  // already in the wallet cache rather than tracing every one
+  const withFunding = bets.map(bet => {
+    if (bet.funder) return bet;
+    const cached = walletCache.get(bet.wallet.toLowerCase());
+    if (!cached || !cached.funder) return bet;
+    return { ...bet, funder: cached.funder, funderLabel: cached.funding ? cached.funding.label : null };
+  });
+  
+  // Same funder a few hops up (A → B → wallet1, A → C → wallet2)
+  const fundingClusters = alertType === 'fresh' ? await analyzeFundingClusters(bets) : [];
+  // Mark each leg at its own outcome's price, so a cluster spread over several
+  // outcomes of an event is compared like for like (share-weighted)
+  const firstBet = bets.length ? Math.min(...bets.map(b => b.timestamp)) : 0;
+  const marks = { now: [0, 0], before: [0, 0] };
+  for (const bet of bets) {
+    for (const leg of bet.legs || [{ tokenId: outcomeId, shares: bet.shares || 0 }]) {
+      const latest = priceHistory.latest(leg.tokenId);
+      const before = priceHistory.priceBefore(leg.tokenId, firstBet);
+      if (latest) marks.now = [marks.now[0] + leg.shares * latest.price, marks.now[1] + leg.shares];
+      if (before) marks.before = [marks.before[0] + leg.shares * before.price, marks.before[1] + leg.shares];
+    }
+  }
+  const mark = ([value, shares]) => (shares > 0 ? value / shares : null);
+  const stats = clusterStats(withFunding, {
+    fundingClusters,
+    currentPrice: mark(marks.now),
+    priceBefore: mark(marks.before),
+  });
+  const { score, flags, breakdown } = scoreCluster({ alertType, bets: withFunding, stats }, CONFIG.scoringRules);
+  const similar = breakdown.find(r => r.rule === 'similarAmounts');
+  
+  return {
+    totalAmount: stats.totalAmount,
+    suspicionScore: score,
+    suspicionFlags: flags,
+    scoreBreakdown: breakdown,
+    sameFunderCount: stats.sameFunderCount,
+    sameFunderAddress: stats.sameFunderAddress,
+    fundingClusters,
+    similarAmountPercent: similar ? similar.value : null,
+    timeSpanMinutes: stats.timeSpanMinutes,
+    avgBetAmount: stats.avgAmount,
+    avgEntryPrice: stats.avgEntryPrice,
+    currentPrice: stats.currentPrice,
+    priceBefore: stats.priceBefore,
+  };
+}
+
+/**
+ * An alert's wallet list for a cluster's bets. Sells already recorded on the
+ * alert carry over when it is rebuilt; a wallet new to it starts from what
+ * its bets sold before the alert fired.
+ */
+function alertWallets(bets, previous = []) {
+  const before = new Map(previous.map(w => [w.address.toLowerCase(), w]));
+  return bets.map(b => {
+    const prior = before.get(b.wallet.toLowerCase());
+    return {
+      address: b.wallet,
+      txHash: b.txHash,
+      venue: b.venue,
+      timestamp: b.timestamp,
+      amount: b.amount,
+      shares: b.shares,
+      price: b.price,
+      funder: b.funder,
+      funderLabel: b.funderLabel,
+      freshnessScore: b.freshnessScore,
+      freshnessReasons: b.freshnessReasons,
+      owner: b.owner || null,
+      // Other wallets of the same owner merged into this entry
+      addresses: b.addresses && b.addresses.length > 1 ? b.addresses : undefined,
+      legs: b.legs,
+      sold: prior ? prior.sold : b.sold,
+      soldUsdc: prior ? prior.soldUsdc : b.soldUsdc,
+      lastSellAt: prior ? prior.lastSellAt : b.lastSellAt,
+      exitedAt: prior ? prior.exitedAt : undefined,
+    };
+  });
+}
+
+// The cluster's net position: shares bought, sold and still held, and how
+// many of its wallets have exited
+function clusterPosition(wallets) {
+  const position = { wallets: wallets.length, exited: 0, boughtShares: 0, soldShares: 0, soldUsdc: 0 };
+  for (const w of wallets) {
+    position.boughtShares += w.shares || 0;
+    // Shares held before the wallet's first tracked buy can't be netted
+    position.soldShares += Math.min(w.sold || 0, w.shares || 0);
+    position.soldUsdc += w.soldUsdc || 0;
+    if (w.exitedAt) position.exited++;
+  }
+  position.netShares = position.boughtShares - position.soldShares;
+  return position;
+}
+
+// Copy an assessment onto an alert. Once the alert's outcome has traded, the
+// latest fill price replaces the Gamma snapshot taken when it was looked up.
+function applyAssessment(alert, assessment) {
+  Object.assign(alert, assessment);
+  const latest = priceHistory.latest(alert.outcomeId);
+  if (latest) alert.price = latest.price;
+}
+
+// Bets still tracked for an alert's cluster (empty once they left the window).
+// Bets from before its first one belong to an earlier wave.
+function trackedBetsFor(alert) {
+  const key = alert.scopeKey || alert.outcomeId;
+  const bets = alert.alertType === 'fresh'
+    ? clusterBets(betsByOutcome, key).filter(b => b.isFresh)
+    : clusterBets(allBetsByOutcome, key);
+  return bets.filter(b => b.timestamp >= alert.firstBet);
+}
+
+/**
+ * Follow the price of every unresolved alert's outcome. While the cluster's
+ * bets are still in the window the alert is re-scored too, so "bought at 8¢,
+ * now 35¢" shows up without waiting for the cluster to grow.
+ */
+async function refreshAlertPrices() {
+  for (const alert of alerts) {
+    if (alert.resolution) continue;
+    
+    const latest = priceHistory.latest(alert.outcomeId);
+    if (!latest || (alert.tracking && latest.price === alert.tracking.lastPrice)) continue;
+    
+    const tracking = alert.tracking || { highPrice: latest.price, lowPrice: latest.price };
+    alert.tracking = {
+      lastPrice: latest.price,
+      highPrice: Math.max(tracking.highPrice, latest.price),
+      lowPrice: Math.min(tracking.lowPrice, latest.price),
+      lastTradeAt: latest.timestamp,
+    };
+    
+    // Exit and anomaly alerts and ended episodes only follow the price; a
+    // live cluster alert is re-scored
+    const rescored = (alert.alertType === 'fresh' || alert.alertType === 'volume') && !alert.expiredAt;
+    const bets = rescored ? trackedBetsFor(alert) : [];
+    if (bets.length) {
+      applyAssessment(alert, await assessCluster(alert.alertType, alert.outcomeId, bets));
+    } else {
+      alert.price = latest.price;
+    }
+    store.saveAlert(alert);
+    io.emit('alertUpdate', alert);
+  }
+}
+
+// What copying the cluster paid: its average fill price, from the wallets
+// for alerts stored before entry prices were tracked
+function alertEntryPrice(alert) {
+  if (alert.avgEntryPrice) return alert.avgEntryPrice;
+  const wallets = alert.wallets || [];
+  const shares = wallets.reduce((sum, w) => sum + (w.shares || 0), 0);
+  return shares > 0 ? wallets.reduce((sum, w) => sum + (w.amount || 0), 0) / shares : null;
+}
+
+// Cluster alerts are judged by how their outcome paid out; exit alerts ride
+// along with the alert they came from
+function awaitsResolution(alert) {
+  return !alert.resolution && alert.alertType !== 'exit';
+}
+
+function recordResolution(alert, { payout, resolvedAt, source }) {
+  const entryPrice = alertEntryPrice(alert);
+  alert.resolution = {
+    payout,
+    won: payout > 0.5,
+    entryPrice,
+    copyReturn: entryPrice ? (payout - entryPrice) / entryPrice : null,
+    resolvedAt,
+    source,
+  };
+  unindexAlert(alert);
+  store.saveAlert(alert);
+  io.emit('alertUpdate', alert);
+  notifier.forget(alert);
+  
+  const result = alert.resolution.won ? '✅ WON' : '❌ LOST';
+  console.log(`🏁 ${result}: ${alert.question} - ${alert.outcome} (${alert.alertType} alert, paid ${payout} per share)`);
+}
+
+// Apply ConditionResolution logs to the unresolved alerts on those conditions
+function applyChainResolutions(events, blockTimes) {
+  for (const event of events) {
+    const { conditionId, payouts } = decodeConditionResolution(event);
+    for (const alert of alerts) {
+      if (!awaitsResolution(alert) || !alert.conditionId || alert.conditionId.toLowerCase() !== conditionId) continue;
+      if (alert.outcomeIndex === null || alert.outcomeIndex === undefined) continue;
+      recordResolution(alert, {
+        payout: payouts[alert.outcomeIndex],
+        resolvedAt: blockTimes.get(event.blockNumber),
+        source: 'chain',
+      });
+    }
+  }
+}
+
+/**
+ * Ask Gamma whether unresolved alerts' markets have resolved. Catches
+ * resolutions that happened while the bot was down and markets whose
+ * ConditionResolution fell outside the blocks we scanned. Runs at most once
+ * per resolutionCheckIntervalMs unless forced.
+ */
+let lastResolutionCheck = 0;
+async function checkResolutions(force = false) {
+  if (!force && Date.now() - lastResolutionCheck < CONFIG.resolutionCheckIntervalMs) return;
+  lastResolutionCheck = Date.now();
   
-  return filterPatterns.some(pattern => pattern.test(question));
+  const pendingOutcomes = new Set(alerts.filter(awaitsResolution).map(a => a.outcomeId));
+  for (const outcomeId of pendingOutcomes) {
+    let result;
+    try {
+      result = await fetchGammaResolution(outcomeId);
+    } catch (error) {
+      console.error(`Resolution check failed for ${outcomeId}: ${error.message}`);
+      continue;
+    }
+    if (!result) continue;
+    
+    for (const alert of alerts) {
+      if (alert.outcomeId === outcomeId && awaitsResolution(alert)) recordResolution(alert, result);
+    }
+  }
+}
+
+// The alert an episode is updating. Episodes carried over from the old
+// alerted-outcome list don't know theirs, so fall back to the group's latest.
+function episodeAlert(episode, key, alertType) {
+  if (episode.alertId) return alerts.find(a => a.id === episode.alertId);
+  return previousAlert(key, alertType);
+}
+
+// Latest alert of a type for a detection group (alerts are newest first)
+function previousAlert(key, alertType) {
+  return alerts.find(a => (a.scopeKey || a.outcomeId) === key && a.alertType === alertType);
+}
+
+// A second wave on a group gets its own alert, numbered and linked to the last
+function waveFields(alertType, key, previous) {
+  const wave = previous ? (previous.wave || 1) + 1 : 1;
+  return {
+    episodeId: `${alertType}:${key}#${wave}`,
+    wave,
+    previousAlertId: previous ? previous.id : null,
+  };
 }
 
-async function checkAndAlert(outcomeId) {
-  if (alertedOutcomes.has(outcomeId)) {
+// `tokenId` is the outcome that just got a bet; detection runs over its whole
+// group (see scopeKey)
+async function checkAndAlert(tokenId, now) {
+  const key = scopeKey(tokenId);
+  const episode = episodes.fresh.get(key);
+  
+  if (episode && episode.state === 'alerted') {
     // Update existing alert count and amount
-    const existingAlert = alerts.find(a => a.outcomeId === outcomeId);
+    const existingAlert = episodeAlert(episode, key, 'fresh');
     if (existingAlert) {
-      const bets = betsByOutcome.get(outcomeId) || [];
-      const freshBets = bets.filter(b => b.isFresh);
+      const freshBets = clusterBets(betsByOutcome, key).filter(b => b.isFresh && b.timestamp > episode.since);
+      applyAssessment(existingAlert, await assessCluster('fresh', existingAlert.outcomeId, freshBets));
+      existingAlert.outcomes = outcomeBreakdown(freshBets);
+      existingAlert.wallets = alertWallets(freshBets, existingAlert.wallets);
+      indexAlert(existingAlert);
+      existingAlert.position = clusterPosition(existingAlert.wallets);
+      existingAlert.baseline = baselineFor(existingAlert.outcomeId, now) || existingAlert.baseline;
       existingAlert.freshWallets = freshBets.length;
-      existingAlert.totalAmount = freshBets.reduce((sum, b) => sum + (b.amount || 0), 0);
-      existingAlert.latestBet = new Date().toISOString();
+      existingAlert.latestBet = now;
+      store.saveAlert(existingAlert);
       io.emit('alertUpdate', existingAlert);
+      if (existingAlert.fundingClusters.length) io.emit('fundingAncestors', crossMarketAncestors());
+      notifier.notifyUpdate(existingAlert);
     }
     return;
   }
+  if (episode && (episode.state === 'filtered' || now < episode.rearmAt)) return;
   
-  const bets = betsByOutcome.get(outcomeId) || [];
-  const freshBets = bets.filter(bet => bet.isFresh);
+  // A re-armed group only counts the new wave
+  const since = episode ? episode.since : 0;
+  const freshBets = clusterBets(betsByOutcome, key).filter(bet => bet.isFresh && bet.timestamp > since);
   
   if (freshBets.length >= CONFIG.freshWalletThreshold) {
+    // The outcome the cluster put the most money on stands for the group
+    const outcomes = outcomeBreakdown(freshBets);
+    const outcomeId = outcomes[0].outcomeId;
     const marketInfo = await getMarketInfo(outcomeId);
     
-    // Filter out crypto short-term markets
-    if (shouldFilterMarket(marketInfo)) {
-      console.log(`⏭️  Filtered: ${marketInfo?.question || outcomeId} (short-term crypto)`);
-      alertedOutcomes.add(outcomeId);
-      return;
-    }
-    
     // Filter out unknown markets
     if (!marketInfo || !marketInfo.question || marketInfo.question === 'Unknown Market') {
       console.log(`⏭️  Filtered: Unknown market (${outcomeId})`);
-      alertedOutcomes.add(outcomeId);
+      setEpisode('fresh', key, { state: 'filtered', reason: 'unknown market', since, startedAt: now });
       return;
     }
     
-    alertedOutcomes.add(outcomeId);
-    stats.alertsTriggered++;
-    
-    // Calculate total amount bet by cluster
-    const totalAmount = freshBets.reduce((sum, b) => sum + (b.amount || 0), 0);
-    
-    // Analyze suspicious patterns
-    const amounts = freshBets.map(b => b.amount || 0);
-    const funders = freshBets.map(b => b.funder).filter(f => f);
-    
-    // Check for same funder (coordinated wallets)
-    const funderCounts = {};
-    funders.forEach(f => {
-      const key = f.toLowerCase();
-      funderCounts[key] = (funderCounts[key] || 0) + 1;
-    });
-    const topFunder = Object.entries(funderCounts).sort((a, b) => b[1] - a[1])[0];
-    const sameFunderCount = topFunder ? topFunder[1] : 0;
-    const sameFunderAddress = topFunder ? topFunder[0] : null;
-    
-    // Check for similar amounts (within 10% of each other)
-    const avgAmount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
-    const similarAmounts = amounts.filter(a => Math.abs(a - avgAmount) / avgAmount < 0.1).length;
-    const similarAmountPercent = Math.round((similarAmounts / amounts.length) * 100);
-    
-    // Check timing pattern (all within X minutes)
-    const timestamps = freshBets.map(b => b.timestamp);
-    const timeSpanMinutes = Math.round((Math.max(...timestamps) - Math.min(...timestamps)) / 60000);
+    const summary = { outcomeId, walletCount: freshBets.length, totalAmount: outcomes.reduce((sum, o) => sum + o.amount, 0) };
+    const suppressed = suppressCluster('fresh', key, marketInfo, summary, now);
+    if (suppressed) {
+      console.log(`⏭️  Suppressed: ${marketInfo.question} (${suppressed.rule})`);
+      setEpisode('fresh', key, { state: 'filtered', reason: 'market filter', rule: suppressed.rule, since, startedAt: now });
+      return;
+    }
     
-    // Calculate suspicion score
-    let suspicionScore = 0;
-    const suspicionFlags = [];
+    countAlert('fresh');
+    const previous = previousAlert(key, 'fresh');
     
-    if (sameFunderCount >= 3) {
-      suspicionScore += 40;
-      suspicionFlags.push(`${sameFunderCount} wallets share same funder`);
-    }
-    if (similarAmountPercent >= 50) {
-      suspicionScore += 30;
-      suspicionFlags.push(`${similarAmountPercent}% bet similar amounts`);
-    }
-    if (timeSpanMinutes <= 30 && freshBets.length >= 10) {
-      suspicionScore += 30;
-      suspicionFlags.push(`All bets within ${timeSpanMinutes} min`);
-    }
+    const assessment = await assessCluster('fresh', outcomeId, freshBets);
     
     // Build the correct Polymarket URL - try multiple formats
     let polymarketUrl = null;
-    if (marketInfo?.slug) {
+    if (key.startsWith('event:') && marketInfo?.eventSlug) {
+      // Event-wide clusters link to the event page listing every market
+      polymarketUrl = `https://polymarket.com/event/${marketInfo.eventSlug}`;
+    }
+    if (!polymarketUrl && marketInfo?.slug) {
       // Most markets use this format
       polymarketUrl = `https://polymarket.com/event/${marketInfo.slug}`;
     }
@@ -321,87 +1088,111 @@ async function checkAndAlert(outcomeId) {
     }
     
     const alert = {
-      id: Date.now(),
+      id: store.nextAlertId(),
       outcomeId,
       alertType: 'fresh', // Label for fresh wallet clusters
+      ...waveFields('fresh', key, previous),
+      venue: freshBets[0].venue,
       question: marketInfo?.question || 'Unknown Market',
       outcome: marketInfo?.outcome || 'Unknown',
+      conditionId: marketInfo?.conditionId,
+      outcomeIndex: marketInfo?.outcomeIndex,
+      category: marketInfo?.category,
+      // Detection group: outcomes lists every outcome the cluster bought in it
+      scope: CONFIG.detectionScope,
+      scopeKey: key,
+      eventId: marketInfo?.eventId,
+      eventSlug: marketInfo?.eventSlug,
+      eventTitle: marketInfo?.eventTitle,
+      outcomes,
       price: marketInfo?.price,
       slug: marketInfo?.slug,
       image: marketInfo?.image,
       polymarketUrl: polymarketUrl,
       freshWallets: freshBets.length,
-      totalAmount: totalAmount,
       firstBet: freshBets[0].timestamp,
       latestBet: freshBets[freshBets.length - 1].timestamp,
       sampleTx: freshBets[0].txHash,
-      // Suspicious pattern analysis
-      suspicionScore: suspicionScore,
-      suspicionFlags: suspicionFlags,
-      sameFunderCount: sameFunderCount,
-      sameFunderAddress: sameFunderAddress,
-      similarAmountPercent: similarAmountPercent,
-      timeSpanMinutes: timeSpanMinutes,
-      avgBetAmount: avgAmount,
-      wallets: freshBets.map(b => ({
-        address: b.wallet,
-        txHash: b.txHash,
-        timestamp: b.timestamp,
-        amount: b.amount,
-        funder: b.funder
-      })),
-      timestamp: Date.now(),
+      wallets: alertWallets(freshBets),
+      timestamp: now,
     };
+    alert.position = clusterPosition(alert.wallets);
+    // How this hour compares with the outcome's usual activity
+    alert.baseline = baselineFor(outcomeId, now);
+    // Suspicious pattern analysis: totalAmount, suspicionScore/Flags, scoreBreakdown, prices
+    applyAssessment(alert, assessment);
     
     alerts.unshift(alert);
-    if (alerts.length > 50) alerts.pop();
+    indexAlert(alert);
+    store.saveAlert(alert);
+    setEpisode('fresh', key, { state: 'alerted', alertId: alert.id, wave: alert.wave, since, startedAt: now });
     
     io.emit('newAlert', alert);
     io.emit('stats', stats);
+    if (alert.fundingClusters.length) io.emit('fundingAncestors', crossMarketAncestors());
+    notifier.notify(alert);
     
-    console.log(`🚨 FRESH ALERT: ${alert.question} - ${alert.outcome} (${freshBets.length} wallets, $${totalAmount.toFixed(2)})`);
+    console.log(`🚨 FRESH ALERT: ${alert.question} - ${alert.outcome} (${freshBets.length} wallets, $${alert.totalAmount.toFixed(2)}, score ${alert.suspicionScore})`);
   }
 }
 
 // Check for 20+ any wallets betting $100+ on same outcome
-async function checkAndAlertAllWallets(outcomeId) {
-  if (alertedOutcomesAll.has(outcomeId)) {
+async function checkAndAlertAllWallets(tokenId, now) {
+  const key = scopeKey(tokenId);
+  const episode = episodes.all.get(key);
+  
+  if (episode && episode.state === 'alerted') {
     // Update existing alert count and amount
-    const existingAlert = alerts.find(a => a.outcomeId === outcomeId && a.alertType === 'volume');
+    const existingAlert = episodeAlert(episode, key, 'volume');
     if (existingAlert) {
-      const bets = allBetsByOutcome.get(outcomeId) || [];
+      const bets = clusterBets(allBetsByOutcome, key).filter(b => b.timestamp > episode.since);
+      applyAssessment(existingAlert, await assessCluster('volume', existingAlert.outcomeId, bets));
+      existingAlert.outcomes = outcomeBreakdown(bets);
+      existingAlert.wallets = alertWallets(bets, existingAlert.wallets);
+      indexAlert(existingAlert);
+      existingAlert.position = clusterPosition(existingAlert.wallets);
+      existingAlert.baseline = baselineFor(existingAlert.outcomeId, now) || existingAlert.baseline;
       existingAlert.walletCount = bets.length;
-      existingAlert.totalAmount = bets.reduce((sum, b) => sum + (b.amount || 0), 0);
-      existingAlert.latestBet = new Date().toISOString();
+      existingAlert.latestBet = now;
+      store.saveAlert(existingAlert);
       io.emit('alertUpdate', existingAlert);
+      notifier.notifyUpdate(existingAlert);
     }
     return;
   }
+  if (episode && (episode.state === 'filtered' || now < episode.rearmAt)) return;
   
-  const bets = allBetsByOutcome.get(outcomeId) || [];
+  const since = episode ? episode.since : 0;
+  const bets = clusterBets(allBetsByOutcome, key).filter(b => b.timestamp > since);
   
   if (bets.length >= CONFIG.anyWalletThreshold) {
+    const outcomes = outcomeBreakdown(bets);
+    const outcomeId = outcomes[0].outcomeId;
     const marketInfo = await getMarketInfo(outcomeId);
     
-    // Filter out crypto short-term markets
-    if (shouldFilterMarket(marketInfo)) {
-      alertedOutcomesAll.add(outcomeId);
+    // Filter out unknown markets
+    if (!marketInfo || !marketInfo.question || marketInfo.question === 'Unknown Market') {
+      setEpisode('all', key, { state: 'filtered', reason: 'unknown market', since, startedAt: now });
       return;
     }
     
-    // Filter out unknown markets
-    if (!marketInfo || !marketInfo.question || marketInfo.question === 'Unknown Market') {
-      alertedOutcomesAll.add(outcomeId);
+    const summary = { outcomeId, walletCount: bets.length, totalAmount: outcomes.reduce((sum, o) => sum + o.amount, 0) };
+    const suppressed = suppressCluster('volume', key, marketInfo, summary, now);
+    if (suppressed) {
+      setEpisode('all', key, { state: 'filtered', reason: 'market filter', rule: suppressed.rule, since, startedAt: now });
       return;
     }
     
-    alertedOutcomesAll.add(outcomeId);
-    stats.alertsTriggered++;
+    countAlert('volume');
+    const previous = previousAlert(key, 'volume');
     
-    const totalAmount = bets.reduce((sum, b) => sum + (b.amount || 0), 0);
+    const assessment = await assessCluster('volume', outcomeId, bets);
     
     let polymarketUrl = null;
-    if (marketInfo?.slug) {
+    if (key.startsWith('event:') && marketInfo?.eventSlug) {
+      polymarketUrl = `https://polymarket.com/event/${marketInfo.eventSlug}`;
+    }
+    if (!polymarketUrl && marketInfo?.slug) {
       polymarketUrl = `https://polymarket.com/event/${marketInfo.slug}`;
     }
     if (!polymarketUrl && marketInfo?.marketSlug) {
@@ -412,82 +1203,549 @@ async function checkAndAlertAllWallets(outcomeId) {
     }
     
     const alert = {
-      id: Date.now() + 1, // Ensure unique ID
+      id: store.nextAlertId(),
       outcomeId,
       alertType: 'volume', // Label for volume-based clusters
+      ...waveFields('volume', key, previous),
+      venue: bets[0].venue,
       question: marketInfo?.question || 'Unknown Market',
       outcome: marketInfo?.outcome || 'Unknown',
+      conditionId: marketInfo?.conditionId,
+      outcomeIndex: marketInfo?.outcomeIndex,
+      category: marketInfo?.category,
+      // Detection group: outcomes lists every outcome the cluster bought in it
+      scope: CONFIG.detectionScope,
+      scopeKey: key,
+      eventId: marketInfo?.eventId,
+      eventSlug: marketInfo?.eventSlug,
+      eventTitle: marketInfo?.eventTitle,
+      outcomes,
       price: marketInfo?.price,
       slug: marketInfo?.slug,
       image: marketInfo?.image,
       polymarketUrl: polymarketUrl,
       walletCount: bets.length,
-      totalAmount: totalAmount,
       firstBet: bets[0].timestamp,
       latestBet: bets[bets.length - 1].timestamp,
       sampleTx: bets[0].txHash,
-      wallets: bets.map(b => ({
-        address: b.wallet,
-        txHash: b.txHash,
-        timestamp: b.timestamp,
-        amount: b.amount
-      })),
-      timestamp: Date.now(),
+      wallets: alertWallets(bets),
+      timestamp: now,
     };
+    alert.position = clusterPosition(alert.wallets);
+    // How this hour compares with the outcome's usual activity
+    alert.baseline = baselineFor(outcomeId, now);
+    // Suspicious pattern analysis: totalAmount, suspicionScore/Flags, scoreBreakdown, prices
+    applyAssessment(alert, assessment);
     
     alerts.unshift(alert);
-    if (alerts.length > 50) alerts.pop();
+    indexAlert(alert);
+    store.saveAlert(alert);
+    setEpisode('all', key, { state: 'alerted', alertId: alert.id, wave: alert.wave, since, startedAt: now });
     
     io.emit('newAlert', alert);
     io.emit('stats', stats);
+    notifier.notify(alert);
     
-    console.log(`📊 VOLUME ALERT: ${alert.question} - ${alert.outcome} (${bets.length} wallets, $${totalAmount.toFixed(2)})`);
+    console.log(`📊 VOLUME ALERT: ${alert.question} - ${alert.outcome} (${bets.length} wallets, $${alert.totalAmount.toFixed(2)}, score ${alert.suspicionScore})`);
   }
 }
 
-async function processTrade(provider, event) {
-  const { maker, taker, makerAssetId, takerAssetId, makerAmountFilled, takerAmountFilled } = event.args;
-  const txHash = event.transactionHash;
-  const timestamp = Date.now();
+// The outcome's current hour against its baseline, once it has enough history
+function baselineFor(tokenId, now) {
+  const snapshot = baselines.snapshot(tokenId, now, { windowMs: CONFIG.baselineWindowMs });
+  if (!snapshot || snapshot.hours < CONFIG.baselineMinHours) return null;
+  return { ...snapshot, zThreshold: CONFIG.baselineZScore };
+}
+
+// Metrics of a baseline snapshot that are unusually high, as alert flags
+function baselineDeviations(snapshot) {
+  const { current, baseline, z } = snapshot;
+  const unusual = (value, count) => value !== null && value >= CONFIG.baselineZScore && count >= CONFIG.baselineMinWallets;
+  const flags = [];
   
-  stats.totalTrades++;
+  if (unusual(z.wallets, current.wallets)) {
+    flags.push(`${current.wallets} wallets this hour vs ${baseline.wallets.mean.toFixed(1)} usual (z ${z.wallets.toFixed(1)})`);
+  }
+  if (unusual(z.freshShare, current.checked)) {
+    flags.push(`${(current.freshShare * 100).toFixed(0)}% fresh wallets vs ${(baseline.freshShare.mean * 100).toFixed(0)}% usual (z ${z.freshShare.toFixed(1)})`);
+  }
+  if (unusual(z.avgTicket, current.buys)) {
+    flags.push(`$${Math.round(current.avgTicket)} average ticket vs $${Math.round(baseline.avgTicket.mean)} usual (z ${z.avgTicket.toFixed(1)})`);
+  }
+  return flags;
+}
+
+/**
+ * Alert when an outcome's buying this hour is far outside its own baseline
+ * (CONFIG.baselineZScore standard deviations). One alert per outcome and
+ * hour, updated as the hour goes on; after that the outcome waits out
+ * alertCooldownMs before alerting again.
+ */
+async function checkBaselineAnomaly(tokenId, now) {
+  if (!CONFIG.baselineAlerts) return;
+  const snapshot = baselineFor(tokenId, now);
+  if (!snapshot) return;
   
-  const participants = [
-    { wallet: maker, assetId: makerAssetId.toString(), amount: makerAmountFilled },
-    { wallet: taker, assetId: takerAssetId.toString(), amount: takerAmountFilled }
-  ];
+  const flags = baselineDeviations(snapshot);
+  const previous = previousAlert(tokenId, 'anomaly');
   
-  for (const { wallet, assetId, amount } of participants) {
-    if (wallet === ethers.ZeroAddress) continue;
-    
-    // Convert amount from wei (6 decimals for USDC)
-    const amountUSDC = Number(amount) / 1e6;
-    
-    // Track ALL wallets betting $100+ for volume alerts
-    if (amountUSDC >= CONFIG.anyWalletMinBet) {
-      if (!allBetsByOutcome.has(assetId)) {
-        allBetsByOutcome.set(assetId, []);
-      }
-      
-      const allBets = allBetsByOutcome.get(assetId);
-      const alreadyTrackedAll = allBets.some(
-        bet => bet.wallet.toLowerCase() === wallet.toLowerCase()
-      );
-      
-      if (!alreadyTrackedAll) {
-        allBets.push({ wallet, timestamp, txHash, amount: amountUSDC });
-        await checkAndAlertAllWallets(assetId);
-      } else {
+  if (previous && previous.bucket === snapshot.current.t) {
+    if (previous.walletCount === snapshot.current.wallets) return;
+    Object.assign(previous, anomalyDetails(tokenId, snapshot, flags.length ? flags : previous.suspicionFlags));
+    previous.latestBet = now;
+    store.saveAlert(previous);
+    io.emit('alertUpdate', previous);
+    notifier.notifyUpdate(previous);
+    return;
+  }
+  
+  if (!flags.length) return;
+  if (previous && now - previous.timestamp < CONFIG.alertCooldownMs) return;
+  
+  const marketInfo = await getMarketInfo(tokenId);
+  if (!marketInfo || !marketInfo.question || marketInfo.question === 'Unknown Market') return;
+  const summary = { outcomeId: tokenId, walletCount: snapshot.current.wallets, totalAmount: snapshot.current.usdc };
+  if (suppressCluster('anomaly', tokenId, marketInfo, summary, now)) return;
+  
+  countAlert('anomaly');
+  
+  const alert = {
+    id: store.nextAlertId(),
+    outcomeId: tokenId,
+    alertType: 'anomaly', // Unusual activity against the outcome's own baseline
+    ...waveFields('anomaly', tokenId, previous),
+    venue: null,
+    question: marketInfo.question,
+    outcome: marketInfo.outcome,
+    conditionId: marketInfo.conditionId,
+    outcomeIndex: marketInfo.outcomeIndex,
+    category: marketInfo.category,
+    scope: 'outcome',
+    scopeKey: tokenId,
+    eventId: marketInfo.eventId,
+    eventSlug: marketInfo.eventSlug,
+    eventTitle: marketInfo.eventTitle,
+    price: marketInfo.price,
+    slug: marketInfo.slug,
+    image: marketInfo.image,
+    polymarketUrl: marketInfo.slug ? `https://polymarket.com/event/${marketInfo.slug}` : null,
+    firstBet: snapshot.current.t,
+    latestBet: now,
+    ...anomalyDetails(tokenId, snapshot, flags),
+    timestamp: now,
+  };
+  const latest = priceHistory.latest(tokenId);
+  if (latest) alert.price = latest.price;
+  
+  alerts.unshift(alert);
+  store.saveAlert(alert);
+  
+  io.emit('newAlert', alert);
+  io.emit('stats', stats);
+  notifier.notify(alert);
+  
+  console.log(`📈 ANOMALY ALERT: ${alert.question} - ${alert.outcome} (${flags.join('; ')})`);
+}
+
+// Anomaly alert fields for an outcome's current hour
+function anomalyDetails(tokenId, snapshot, flags) {
+  const wallets = baselines.currentWallets(tokenId);
+  return {
+    bucket: snapshot.current.t,
+    walletCount: snapshot.current.wallets,
+    totalAmount: snapshot.current.usdc,
+    avgEntryPrice: snapshot.current.avgPrice,
+    suspicionFlags: flags,
+    baseline: snapshot,
+    wallets: wallets.map(w => ({ ...w, price: w.shares > 0 ? w.amount / w.shares : null })),
+  };
+}
+
+// `${wallet}:${tokenId}` for every holding of an alert's wallet entries
+function holdingKeys(alert) {
+  return (alert.wallets || []).flatMap(w => {
+    const tokens = w.legs ? w.legs.map(l => l.tokenId) : [alert.outcomeId];
+    return entryAddresses(w).flatMap(address => tokens.map(tokenId => `${address}:${tokenId}`));
+  });
+}
+
+// Only fresh and volume alerts flag a cluster whose sells are followed; an
+// anomaly alert lists everyone who bought in the hour
+function followsSells(alert) {
+  return alert.alertType === 'fresh' || alert.alertType === 'volume';
+}
+
+// Call whenever an open cluster alert is created or its wallets change
+function indexAlert(alert) {
+  if (!followsSells(alert) || alert.resolution) return;
+  for (const key of holdingKeys(alert)) {
+    if (!openAlertsByHolding.has(key)) openAlertsByHolding.set(key, new Set());
+    openAlertsByHolding.get(key).add(alert);
+  }
+}
+
+function unindexAlert(alert) {
+  for (const key of holdingKeys(alert)) {
+    const indexed = openAlertsByHolding.get(key);
+    if (!indexed) continue;
+    indexed.delete(alert);
+    if (!indexed.size) openAlertsByHolding.delete(key);
+  }
+}
+
+// The cluster alerts holding `wallet` on `tokenId`, with its entry in each.
+// Resolved ones, only asked for after a reorg, mean going through the whole
+// history. Collected up front: checkExit adds to `alerts` while sells are
+// being recorded.
+function alertEntriesFor(wallet, tokenId, resolved = false) {
+  const found = [];
+  for (const alert of resolved ? alerts : openAlertsByHolding.get(`${wallet}:${tokenId}`) || []) {
+    if (!followsSells(alert) || (alert.resolution && !resolved)) continue;
+    const entry = (alert.wallets || []).find(w => entryAddresses(w).includes(wallet)
+      && (w.legs ? w.legs.some(l => l.tokenId === tokenId) : alert.outcomeId === tokenId));
+    if (entry) found.push([alert, entry]);
+  }
+  return found;
+}
+
+/**
+ * A SELL fill: take it off the seller's tracked bets on that outcome and off
+ * its position in every unresolved cluster alert it is part of, then check
+ * whether those clusters are exiting together.
+ */
+async function recordSell(fill) {
+  const wallet = fill.wallet.toLowerCase();
+  
+  for (const [kind, betMap] of [['fresh', betsByOutcome], ['all', allBetsByOutcome]]) {
+    const bets = betMap.get(fill.tokenId);
+    const bet = bets && bets.find(b => b.wallet.toLowerCase() === wallet);
+    if (!bet) continue;
+    addFillToBet(bet, fill);
+    store.saveBets(kind, fill.tokenId, bets);
+  }
+  
+  for (const [alert, entry] of alertEntriesFor(wallet, fill.tokenId)) {
+    entry.sold = (entry.sold || 0) + fill.shares;
+    entry.soldUsdc = (entry.soldUsdc || 0) + fill.usdc;
+    entry.lastSellAt = fill.timestamp;
+    if (!entry.exitedAt && entry.shares > 0 && entry.sold >= entry.shares * CONFIG.exitSoldPercent / 100) {
+      entry.exitedAt = fill.timestamp;
+    }
+    alert.position = clusterPosition(alert.wallets);
+    store.saveAlert(alert);
+    io.emit('alertUpdate', alert);
+    
+    if (entry.exitedAt === fill.timestamp) await checkExit(alert, fill.timestamp);
+  }
+}
+
+// Exit alert fields for a cluster alert and the wallets that have left it
+function exitDetails(parent, exited) {
+  const soldShares = exited.reduce((sum, w) => sum + (w.sold || 0), 0);
+  const soldUsdc = exited.reduce((sum, w) => sum + (w.soldUsdc || 0), 0);
+  const firstExit = exited[0].exitedAt;
+  const latestExit = exited[exited.length - 1].exitedAt;
+  const minutes = Math.max(1, Math.ceil((latestExit - firstExit) / 60000));
+  
+  return {
+    walletCount: parent.wallets.length,
+    exitingWallets: exited.length,
+    firstBet: firstExit,
+    latestBet: latestExit,
+    timeSpanMinutes: minutes,
+    totalAmount: soldUsdc,
+    avgExitPrice: soldShares > 0 ? soldUsdc / soldShares : null,
+    avgEntryPrice: parent.avgEntryPrice,
+    suspicionFlags: [`${exited.length} of ${parent.wallets.length} wallets sold within ${minutes} min`],
+    position: parent.position,
+    wallets: exited.map(w => ({ ...w })),
+  };
+}
+
+function exitWalletsNeeded(parent) {
+  return Math.max(2, Math.ceil(parent.wallets.length * CONFIG.exitWalletPercent / 100));
+}
+
+// A cluster's standing exit alert; one a reorg took back no longer counts
+function exitAlertFor(parent) {
+  return alerts.find(a => a.alertType === 'exit' && a.parentAlertId === parent.id && !a.reorgedAt);
+}
+
+/**
+ * Fire an exit alert when exitWalletPercent of a flagged cluster's wallets
+ * exited within exitWindowMs. Once fired, later exits update it.
+ */
+async function checkExit(parent, now) {
+  const exited = parent.wallets.filter(w => w.exitedAt).sort((a, b) => a.exitedAt - b.exitedAt);
+  
+  const existingAlert = exitAlertFor(parent);
+  if (existingAlert) {
+    Object.assign(existingAlert, exitDetails(parent, exited));
+    store.saveAlert(existingAlert);
+    io.emit('alertUpdate', existingAlert);
+    notifier.notifyUpdate(existingAlert);
+    return;
+  }
+  
+  const recent = exited.filter(w => w.exitedAt > now - CONFIG.exitWindowMs);
+  if (recent.length < exitWalletsNeeded(parent)) return;
+  
+  countAlert('exit');
+  
+  const latest = priceHistory.latest(parent.outcomeId);
+  const alert = {
+    id: store.nextAlertId(),
+    outcomeId: parent.outcomeId,
+    alertType: 'exit', // A flagged cluster selling out
+    parentAlertId: parent.id,
+    parentType: parent.alertType,
+    parentScore: parent.suspicionScore,
+    episodeId: parent.episodeId,
+    venue: parent.venue,
+    question: parent.question,
+    outcome: parent.outcome,
+    conditionId: parent.conditionId,
+    outcomeIndex: parent.outcomeIndex,
+    category: parent.category,
+    scope: parent.scope,
+    scopeKey: parent.scopeKey,
+    eventId: parent.eventId,
+    eventSlug: parent.eventSlug,
+    eventTitle: parent.eventTitle,
+    price: latest ? latest.price : parent.price,
+    slug: parent.slug,
+    image: parent.image,
+    polymarketUrl: parent.polymarketUrl,
+    sampleTx: parent.sampleTx,
+    ...exitDetails(parent, recent),
+    timestamp: now,
+  };
+  
+  alerts.unshift(alert);
+  store.saveAlert(alert);
+  
+  io.emit('newAlert', alert);
+  io.emit('stats', stats);
+  notifier.notify(alert);
+  
+  console.log(`🏃 EXIT ALERT: ${alert.question} - ${alert.outcome} (${alert.suspicionFlags[0]})`);
+}
+
+// Add a fill to an already tracked bet. Buys grow the bet and keep its
+// average price in sync; sells are kept apart so shares - sold is what the
+// wallet still holds.
+function addFillToBet(bet, fill) {
+  if (fill.side === 'SELL') {
+    bet.sold = (bet.sold || 0) + fill.shares;
+    bet.soldUsdc = (bet.soldUsdc || 0) + fill.usdc;
+    bet.lastSellAt = fill.timestamp;
+    return;
+  }
+  bet.amount = (bet.amount || 0) + fill.usdc;
+  bet.shares = (bet.shares || 0) + fill.shares;
+  bet.price = bet.shares > 0 ? bet.amount / bet.shares : null;
+}
+
+// Undo addFillToBet for a fill from a reorged block
+function removeFillFromBet(bet, fill) {
+  if (fill.side === 'SELL') {
+    bet.sold = Math.max(0, (bet.sold || 0) - fill.shares);
+    bet.soldUsdc = Math.max(0, (bet.soldUsdc || 0) - fill.usdc);
+    return;
+  }
+  bet.amount -= fill.usdc;
+  bet.shares -= fill.shares;
+  bet.price = bet.shares > 0 ? bet.amount / bet.shares : null;
+}
+
+// Logs already run through processTrade, by block hash and log index, with
+// their block number. A gap fill after a WebSocket reconnect overlaps what
+// the subscription pushed; this keeps either from applying a log twice. A log
+// is only marked once processTrade is done with it, so a chunk that fails
+// part way is retried from the first log it didn't apply.
+const appliedLogs = new Map();
+
+function logKey(event) {
+  return `${event.blockHash}:${event.index}`;
+}
+
+function markApplied(event) {
+  appliedLogs.set(logKey(event), event.blockNumber);
+}
+
+// Blocks at or below `throughBlock` are never scanned again
+function forgetAppliedLogs(throughBlock) {
+  for (const [key, blockNumber] of appliedLogs) {
+    if (blockNumber <= throughBlock) appliedLogs.delete(key);
+  }
+}
+
+/**
+ * Take reorged sells back off the alert entries recordSell put them on, on
+ * alerts resolved since too. Sells from before a wallet's first bet were
+ * never counted there. An exit alert left with too few exited wallets is
+ * marked `reorgedAt`.
+ */
+function unrecordSells(sells) {
+  const changed = new Set();
+  for (const fill of sells) {
+    for (const [alert, entry] of alertEntriesFor(fill.wallet.toLowerCase(), fill.tokenId, true)) {
+      if (fill.timestamp < entry.timestamp) continue;
+      entry.sold = Math.max(0, (entry.sold || 0) - fill.shares);
+      entry.soldUsdc = Math.max(0, (entry.soldUsdc || 0) - fill.usdc);
+      if (!entry.sold) entry.lastSellAt = undefined;
+      if (entry.exitedAt && !(entry.shares > 0 && entry.sold >= entry.shares * CONFIG.exitSoldPercent / 100)) {
+        entry.exitedAt = undefined;
+      }
+      changed.add(alert);
+    }
+  }
+  
+  let exits = 0;
+  for (const alert of changed) {
+    alert.position = clusterPosition(alert.wallets);
+    store.saveAlert(alert);
+    io.emit('alertUpdate', alert);
+    
+    const exitAlert = exitAlertFor(alert);
+    if (!exitAlert) continue;
+    const exited = alert.wallets.filter(w => w.exitedAt).sort((a, b) => a.exitedAt - b.exitedAt);
+    if (exited.length >= exitWalletsNeeded(alert)) {
+      Object.assign(exitAlert, exitDetails(alert, exited));
+    } else {
+      exitAlert.reorgedAt = Date.now();
+      exits++;
+    }
+    store.saveAlert(exitAlert);
+    io.emit('alertUpdate', exitAlert);
+  }
+  return exits;
+}
+
+/**
+ * Take back what was recorded from `fromBlock` on after a reorg: bets first
+ * placed in those blocks are dropped, and their fills are subtracted from
+ * older bets (buys only where they were big enough to have been added,
+ * against the minimums saved with the fill, which a hot reload since may have
+ * changed) and from the alerts their sells were recorded on. Other alerts
+ * already sent stay; their clusters are recounted on the next bet.
+ */
+function rollbackFrom(fromBlock) {
+  const fills = store.takeFillsFromBlock(fromBlock);
+  let bets = 0;
+  for (const [key, blockNumber] of appliedLogs) {
+    if (blockNumber >= fromBlock) appliedLogs.delete(key);
+  }
+  
+  for (const [kind, betMap, currentMinBet] of [['fresh', betsByOutcome, CONFIG.minBetAmount], ['all', allBetsByOutcome, CONFIG.anyWalletMinBet]]) {
+    for (const [tokenId, tracked] of [...betMap.entries()]) {
+      const kept = tracked.filter(bet => bet.blockNumber < fromBlock);
+      let changed = kept.length !== tracked.length;
+      bets += tracked.length - kept.length;
+      
+      for (const fill of fills) {
+        const minBet = fill.minBets ? fill.minBets[kind] : currentMinBet;
+        if (fill.tokenId !== tokenId || (fill.side === 'BUY' && fill.usdc < minBet)) continue;
+        const bet = kept.find(b => b.wallet.toLowerCase() === fill.wallet.toLowerCase());
+        if (!bet) continue;
+        removeFillFromBet(bet, fill);
+        changed = true;
+      }
+      if (!changed) continue;
+      
+      store.saveBets(kind, tokenId, kept);
+      if (kept.length) betMap.set(tokenId, kept);
+      else betMap.delete(tokenId);
+    }
+  }
+  const exits = unrecordSells(fills.filter(fill => fill.side === 'SELL'));
+  return { bets, fills: fills.length, exits };
+}
+
+// `timestamp` is the block time of the event in ms
+async function processTrade(provider, event, exchange, timestamp) {
+  const txHash = event.transactionHash;
+  const { venue } = exchange;
+  
+  // Adapter splits and conversions decode too, but they aren't trades
+  const fills = VENUE_KINDS[exchange.kind].decode(event);
+  if (fills.some(fill => fill.side === 'BUY' || fill.side === 'SELL')) {
+    stats.totalTrades++;
+    stats.tradesByVenue[venue] = (stats.tradesByVenue[venue] || 0) + 1;
+  }
+  
+  for (const fill of fills) {
+    if (fill.wallet === ethers.ZeroAddress) continue;
+    if (VENUE_ADDRESSES.has(fill.wallet.toLowerCase())) continue;
+    
+    const { wallet, tokenId: assetId, usdc: amountUSDC, shares, price } = fill;
+    // Read once, so the fill is tracked and saved against the same minimums
+    // even if the config reloads while it's being processed
+    const minBets = { fresh: CONFIG.minBetAmount, all: CONFIG.anyWalletMinBet };
+    
+    // Every trade, whatever its size or direction, moves the outcome's price
+    // and goes into the wallet's history
+    if (price !== null && (fill.side === 'BUY' || fill.side === 'SELL')) {
+      store.savePrice(assetId, priceHistory.record(assetId, timestamp, fill));
+      store.saveFill({
+        wallet,
+        tokenId: assetId,
+        side: fill.side,
+        usdc: amountUSDC,
+        shares,
+        price,
+        venue,
+        blockNumber: event.blockNumber,
+        timestamp,
+        txHash,
+        logIndex: event.index,
+        minBets,
+      });
+    }
+    
+    // Sells never start a bet, but they shrink the positions of wallets we track
+    if (fill.side === 'SELL') {
+      await recordSell({ ...fill, timestamp });
+      continue;
+    }
+    if (fill.side !== 'BUY') continue;
+    
+    // Every buy, whatever its size, is part of the outcome's normal activity
+    baselines.record(assetId, timestamp, { wallet, usdc: amountUSDC, shares, fresh: knownFreshness(wallet), txHash });
+    
+    // Grouping by market or event needs to know which one this token belongs to
+    if (CONFIG.detectionScope !== 'outcome' && amountUSDC >= Math.min(minBets.all, minBets.fresh)) {
+      await getMarketInfo(assetId);
+    }
+    
+    // Track ALL wallets betting $100+ for volume alerts
+    if (amountUSDC >= minBets.all) {
+      if (!allBetsByOutcome.has(assetId)) {
+        allBetsByOutcome.set(assetId, []);
+      }
+      
+      const allBets = allBetsByOutcome.get(assetId);
+      const alreadyTrackedAll = allBets.some(
+        bet => bet.wallet.toLowerCase() === wallet.toLowerCase()
+      );
+      
+      if (!alreadyTrackedAll) {
+        allBets.push({ wallet, timestamp, blockNumber: event.blockNumber, txHash, venue, side: fill.side, amount: amountUSDC, shares, price });
+        store.saveBets('all', assetId, allBets);
+        await checkAndAlertAllWallets(assetId, timestamp);
+      } else {
         const existing = allBets.find(b => b.wallet.toLowerCase() === wallet.toLowerCase());
         if (existing) {
-          existing.amount = (existing.amount || 0) + amountUSDC;
+          addFillToBet(existing, fill);
+          store.saveBets('all', assetId, allBets);
         }
       }
     }
     
     // Track FRESH wallets betting $1000+ for fresh alerts
-    if (amountUSDC >= CONFIG.minBetAmount) {
-      const walletInfo = await isWalletFresh(provider, wallet);
+    if (amountUSDC >= minBets.fresh) {
+      const walletInfo = await isWalletFresh(provider, wallet, event.blockNumber, timestamp, assetId);
+      baselines.setFreshness(assetId, wallet, walletInfo.isFresh);
       
       if (walletInfo.isFresh) {
         stats.freshWalletsDetected++;
@@ -505,21 +1763,33 @@ async function processTrade(provider, event) {
           existingBets.push({ 
             wallet, 
             timestamp, 
+            blockNumber: event.blockNumber,
             txHash, 
+            venue,
             isFresh: true, 
+            side: fill.side,
             amount: amountUSDC,
+            shares,
+            price,
             funder: walletInfo.funder,
-            txCount: walletInfo.txCount
+            funderLabel: walletInfo.funding ? walletInfo.funding.label : null,
+            txCount: walletInfo.txCount,
+            freshnessScore: walletInfo.freshnessScore,
+            freshnessReasons: walletInfo.freshnessReasons,
           });
-          await checkAndAlert(assetId);
+          store.saveBets('fresh', assetId, existingBets);
+          await checkAndAlert(assetId, timestamp);
         } else {
           const existing = existingBets.find(b => b.wallet.toLowerCase() === wallet.toLowerCase());
           if (existing) {
-            existing.amount = (existing.amount || 0) + amountUSDC;
+            addFillToBet(existing, fill);
+            store.saveBets('fresh', assetId, existingBets);
           }
         }
       }
     }
+    
+    await checkBaselineAnomaly(assetId, timestamp);
   }
 }
 
@@ -527,6 +1797,387 @@ async function processTrade(provider, event) {
 // EXPRESS ROUTES
 // ============================================================================
 
+function requireAdmin(req, res, next) {
+  if (!CONFIG.adminToken) {
+    return res.status(403).json({ error: 'Admin routes are disabled: set ADMIN_TOKEN' });
+  }
+  if (req.get('authorization') === `Bearer ${CONFIG.adminToken}`) {
+    return next();
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Replays run in a child process (same script, --replay) so the live loop keeps going
+app.post('/admin/replay', requireAdmin, express.json(), (req, res) => {
+  const { fromBlock, toBlock, fromDate, toDate } = req.body || {};
+  
+  if (fromBlock === undefined && !fromDate) {
+    return res.status(400).json({ error: 'fromBlock or fromDate is required' });
+  }
+  for (const [name, value] of Object.entries({ fromBlock, toBlock })) {
+    if (value !== undefined && !Number.isInteger(value)) {
+      return res.status(400).json({ error: `${name} must be a block number` });
+    }
+  }
+  for (const [name, value] of Object.entries({ fromDate, toDate })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+  }
+  
+  const runId = `replay-${Date.now()}`;
+  const params = {
+    runId,
+    fromBlock: fromBlock ?? null,
+    toBlock: toBlock ?? null,
+    fromDate: fromDate || null,
+    toDate: toDate || null,
+  };
+  
+  const args = ['--replay', '--run-id', runId];
+  if (fromBlock !== undefined) args.push('--from-block', String(fromBlock));
+  if (toBlock !== undefined) args.push('--to-block', String(toBlock));
+  if (fromDate) args.push('--from-date', fromDate);
+  if (toDate) args.push('--to-date', toDate);
+  
+  store.createRun(runId, params);
+  const child = fork(__filename, args, { stdio: ['ignore', 'pipe', 'inherit', 'ipc'] });
+  // The replay's progress and summary go to our log, tagged with its run
+  readline.createInterface({ input: child.stdout }).on('line', line => console.log(`[${runId}] ${line}`));
+  child.on('exit', code => {
+    const run = store.getRun(runId);
+    if (code !== 0 && run && run.status === 'running') {
+      store.finishRun(runId, 'failed', { error: `Replay exited with code ${code}` });
+    }
+  });
+  
+  res.status(202).json({ runId, status: 'running' });
+});
+
+app.get('/admin/replay', requireAdmin, (req, res) => {
+  res.json(store.listRuns());
+});
+
+app.get('/admin/replay/:runId', requireAdmin, (req, res) => {
+  const run = store.getRun(req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Replay not found' });
+  res.json({ ...run, alerts: store.loadAlerts(run.id) });
+});
+
+app.post('/admin/suppressed/:id/release', requireAdmin, (req, res) => {
+  const entry = suppressions.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Suppressed cluster not found' });
+  
+  if (!entry.releasedAt) {
+    releaseSuppression(entry).catch(error => console.error(`Recheck after release failed: ${error.message}`));
+  }
+  res.json(entry);
+});
+
+// ----------------------------------------------------------------------------
+// JSON API
+// ----------------------------------------------------------------------------
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands
+function parseTimeParam(value, name) {
+  if (value === undefined) return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new ApiError(400, `${name} must be a timestamp or date`);
+  return time;
+}
+
+function parseNumberParam(value, name) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new ApiError(400, `${name} must be a number`);
+  return number;
+}
+
+// ?limit=&offset= over an in-memory list; limit defaults to 50 and caps at 500
+function paginate(list, query) {
+  const limit = Math.min(Math.max(parseNumberParam(query.limit, 'limit') ?? 50, 1), 500);
+  const offset = Math.max(parseNumberParam(query.offset, 'offset') ?? 0, 0);
+  return { total: list.length, limit, offset, items: list.slice(offset, offset + limit) };
+}
+
+// Express 4 doesn't catch rejected promises, so route handlers go through this
+function apiRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req, res));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        res.status(error.status).json({ error: error.message });
+      } else {
+        console.error(`API error on ${req.path}: ${error.message}`);
+        res.status(500).json({ error: 'Internal error' });
+      }
+    }
+  };
+}
+
+function matchesMarket(alert, market) {
+  const needle = market.toLowerCase();
+  return alert.outcomeId === market
+    || (alert.slug && alert.slug.toLowerCase() === needle)
+    || (alert.question && alert.question.toLowerCase().includes(needle));
+}
+
+// Alert without its wallet list, for listings
+function summarizeAlert(alert) {
+  const { wallets, ...summary } = alert;
+  return { ...summary, walletCount: alert.walletCount ?? wallets.length };
+}
+
+function summarizeOutcome(outcomeId, bets) {
+  return {
+    outcomeId,
+    market: marketCache.get(outcomeId) || null,
+    walletCount: bets.length,
+    totalAmount: bets.reduce((sum, b) => sum + (b.amount || 0), 0),
+    firstBet: bets.length ? Math.min(...bets.map(b => b.timestamp)) : null,
+    latestBet: bets.length ? Math.max(...bets.map(b => b.timestamp)) : null,
+  };
+}
+
+// GET /api/alerts?type=fresh|volume&minScore=&from=&to=&market=&limit=&offset=
+app.get('/api/alerts', apiRoute(req => {
+  const { type, market } = req.query;
+  const minScore = parseNumberParam(req.query.minScore, 'minScore');
+  const from = parseTimeParam(req.query.from, 'from');
+  const to = parseTimeParam(req.query.to, 'to');
+  
+  const filtered = alerts.filter(a =>
+    (!type || a.alertType === type)
+    && (minScore === null || (a.suspicionScore || 0) >= minScore)
+    && (from === null || a.timestamp >= from)
+    && (to === null || a.timestamp <= to)
+    && (!market || matchesMarket(a, market))
+  );
+  
+  const { items, ...page } = paginate(filtered, req.query);
+  return { ...page, alerts: items.map(summarizeAlert) };
+}));
+
+app.get('/api/alerts/:id', apiRoute(req => {
+  const alert = alerts.find(a => String(a.id) === req.params.id);
+  if (!alert) throw new ApiError(404, 'Alert not found');
+  return alert;
+}));
+
+// GET /api/suppressed?type=fresh|volume|anomaly&released=true&limit=&offset=
+app.get('/api/suppressed', apiRoute(req => {
+  const { type } = req.query;
+  const released = req.query.released === 'true';
+  const list = [...suppressions.values()]
+    .filter(s => (!type || s.alertType === type) && Boolean(s.releasedAt) === released)
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  
+  const { items, ...page } = paginate(list, req.query);
+  return { ...page, suppressed: items };
+}));
+
+// What's currently in the window: ?kind=fresh (betsByOutcome) or all (allBetsByOutcome)
+app.get('/api/outcomes', apiRoute(req => {
+  const kind = req.query.kind || 'fresh';
+  if (kind !== 'fresh' && kind !== 'all') throw new ApiError(400, 'kind must be fresh or all');
+  
+  const source = kind === 'fresh' ? betsByOutcome : allBetsByOutcome;
+  const outcomes = [...source.entries()]
+    .map(([outcomeId, bets]) => summarizeOutcome(outcomeId, bets))
+    .sort((a, b) => b.walletCount - a.walletCount);
+  
+  const { items, ...page } = paginate(outcomes, req.query);
+  return { ...page, kind, outcomes: items };
+}));
+
+app.get('/api/outcomes/:outcomeId', apiRoute(req => {
+  const { outcomeId } = req.params;
+  const freshBets = betsByOutcome.get(outcomeId) || [];
+  const allBets = allBetsByOutcome.get(outcomeId) || [];
+  if (!freshBets.length && !allBets.length) throw new ApiError(404, 'Outcome not tracked');
+  
+  return {
+    ...summarizeOutcome(outcomeId, allBets.length ? allBets : freshBets),
+    freshBets,
+    allBets,
+    alerts: alerts.filter(a => a.outcomeId === outcomeId).map(summarizeAlert),
+  };
+}));
+
+// GET /api/outcomes/:outcomeId/prices?from=&to= (traded price history from fills)
+app.get('/api/outcomes/:outcomeId/prices', apiRoute(req => {
+  const { outcomeId } = req.params;
+  const from = parseTimeParam(req.query.from, 'from');
+  const to = parseTimeParam(req.query.to, 'to');
+  const latest = priceHistory.latest(outcomeId);
+  if (!latest) throw new ApiError(404, 'No trades seen for this outcome');
+  
+  return {
+    outcomeId,
+    bucketMs: priceHistory.bucketMs,
+    latest,
+    buckets: priceHistory.range(outcomeId, { from: from ?? 0, to: to ?? Infinity }),
+  };
+}));
+
+// Latest traded price, or Gamma's snapshot for outcomes we haven't seen trade
+function currentPrice(tokenId) {
+  const latest = priceHistory.latest(tokenId);
+  if (latest) return latest.price;
+  const market = marketCache.get(tokenId);
+  return market && market.price !== null && market.price !== undefined ? market.price : null;
+}
+
+// GET /api/wallets/:address?limit=&offset= (profile: cached freshness and funder,
+// net positions with P&L, alerts it took part in, and its fills newest first)
+app.get('/api/wallets/:address', apiRoute(async req => {
+  const address = req.params.address.toLowerCase();
+  const info = walletCache.get(address);
+  const fills = store.walletFills(address);
+  const walletAlerts = alerts.filter(a => (a.wallets || []).some(w => entryAddresses(w).includes(address) || (w.owner && w.owner.toLowerCase() === address)));
+  // Who controls this wallet, and the other wallets they control (or, for an
+  // owner EOA, the wallets it controls)
+  const ownership = ownerResolver ? ownerResolver.known(address) : null;
+  const controller = ownership && ownership.owner ? ownership.owner.toLowerCase() : address;
+  const ownedWallets = ownerResolver ? ownerResolver.walletsOf(controller).filter(w => w !== address) : [];
+  if (!info && !fills.length && !walletAlerts.length && !ownedWallets.length) throw new ApiError(404, 'Wallet not seen');
+  
+  const { positions, totals } = buildPositions(fills, currentPrice);
+  await Promise.all(positions.map(async position => {
+    const market = await getMarketInfo(position.tokenId);
+    position.question = market ? market.question : null;
+    position.outcome = market ? market.outcome : null;
+    position.slug = market ? market.slug : null;
+  }));
+  
+  const { items, total, ...page } = paginate(fills, req.query);
+  return {
+    address,
+    ...info,
+    kind: ownership ? ownership.kind : info && info.kind,
+    owner: ownership ? ownership.owner : info && info.owner,
+    ownedWallets,
+    pnl: totals,
+    positions,
+    alerts: walletAlerts.map(summarizeAlert),
+    fillCount: total,
+    ...page,
+    fills: items,
+  };
+}));
+
+// Ancestors behind funding clusters in more than one market (?all=1 for every ancestor)
+app.get('/api/funding/ancestors', apiRoute(req => {
+  const ancestors = crossMarketAncestors(req.query.all === '1' || req.query.all === 'true');
+  const { items, ...page } = paginate(ancestors, req.query);
+  return { ...page, ancestors: items };
+}));
+
+// Funder chain for one address, followed up to fundingMaxHops
+app.get('/api/funding/trace/:address', apiRoute(async req => {
+  if (!ethers.isAddress(req.params.address)) throw new ApiError(400, 'Not an address');
+  if (!fundingGraph) throw new ApiError(503, 'Not connected to the chain yet');
+  const chain = await fundingGraph.trace(req.params.address);
+  return { address: req.params.address.toLowerCase(), chain, hops: chain.length - 1 };
+}));
+
+// GET /api/report?from=&to=&run= (precision of resolved alerts; run = a replay's runId)
+app.get('/api/report', apiRoute(req => {
+  const from = parseTimeParam(req.query.from, 'from');
+  const to = parseTimeParam(req.query.to, 'to');
+  const runId = req.query.run || store.runId;
+  if (runId !== store.runId && runId !== 'live' && !store.getRun(runId)) throw new ApiError(404, 'Run not found');
+  
+  const source = runId === store.runId ? alerts : store.loadAlerts(runId);
+  const selected = source.filter(a =>
+    (from === null || a.timestamp >= from)
+    && (to === null || a.timestamp <= to)
+  );
+  return { runId, ...precisionReport(selected) };
+}));
+
+app.get('/api/stats', apiRoute(() => ({
+  ...stats,
+  trackedOutcomes: { fresh: betsByOutcome.size, all: allBetsByOutcome.size },
+  alertCount: alerts.length,
+  rpc: rpcPool ? rpcPool.status() : [],
+  stream: logStream ? logStream.status() : null,
+})));
+
+// Newest block anyone has seen: the loop's last poll, the subscription or the pool's health check
+function chainHead() {
+  const heads = rpcPool ? rpcPool.status().map(e => e.head).filter(head => head !== null) : [];
+  return Math.max(stats.lastBlock, ...heads);
+}
+
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeMs: Date.now() - stats.startTime });
+});
+
+// Readiness: the RPC answers and the scan is within readyMaxLagBlocks of the head
+app.get('/readyz', (req, res) => {
+  const blockLag = Math.max(0, chainHead() - stats.processedBlock);
+  const pollAgeMs = stats.lastPollAt === null ? null : Date.now() - stats.lastPollAt;
+  const problems = [];
+  if (!stats.isConnected || !rpcPool) problems.push('not connected to the RPC');
+  else if (!rpcPool.status().some(e => e.healthy)) problems.push('no healthy RPC endpoint');
+  if (blockLag > CONFIG.readyMaxLagBlocks) problems.push(`${blockLag} blocks behind the chain head`);
+  if (pollAgeMs === null) problems.push('no successful poll yet');
+  else if (pollAgeMs > READY_MAX_POLL_INTERVALS * CONFIG.pollIntervalMs) problems.push(`last successful poll ${Math.round(pollAgeMs / 1000)}s ago`);
+  
+  res.status(problems.length ? 503 : 200).json({ ready: !problems.length, blockLag, pollAgeMs, problems });
+});
+
+app.get('/metrics', (req, res) => {
+  const metrics = createExposition('polyfreshy');
+  const head = chainHead();
+  
+  metrics.gauge('chain_head_block', 'Newest block seen on the chain', head);
+  metrics.gauge('processed_block', 'Newest block whose events have all been applied', stats.processedBlock);
+  metrics.gauge('block_lag', 'Blocks between the chain head and the last processed block', Math.max(0, head - stats.processedBlock));
+  metrics.counter('events_processed_total', 'Trades applied (BUY/SELL fills), by venue', samplesBy('venue', stats.tradesByVenue));
+  metrics.counter('fresh_wallets_detected_total', 'Fresh-sized buys by wallets classified fresh', stats.freshWalletsDetected);
+  metrics.counter('reorgs_total', 'Reorgs rolled back', stats.reorgs);
+  if (stats.ingest.latencyMs !== null) {
+    metrics.gauge('ingest_latency_seconds', 'Time from the newest fill\'s block until it was applied', stats.ingest.latencyMs / 1000);
+  }
+  metrics.gauge('pipeline_events_per_second', 'Events applied per second over the last minute', stats.pipeline.eventsPerSec);
+  metrics.gauge('pipeline_backlog_events', 'Events left in the batch being applied', stats.pipeline.backlogEvents);
+  
+  const calls = [...rpcCalls.entries()];
+  metrics.counter('rpc_calls_total', 'JSON-RPC calls sent through the endpoint pool, by method and outcome', calls.flatMap(([method, c]) => [
+    { labels: { method, status: 'ok' }, value: c.ok },
+    { labels: { method, status: 'error' }, value: c.errors },
+  ]));
+  metrics.histogram('rpc_call_duration_seconds', 'JSON-RPC call latency by method; calls in one batch share its round trip',
+    calls.map(([method, c]) => ({ labels: { method }, ...c.latency.snapshot() })));
+  metrics.gauge('rpc_endpoint_healthy', 'Whether each RPC endpoint passed its last health check',
+    (rpcPool ? rpcPool.status() : []).map(e => ({ labels: { endpoint: e.label }, value: e.healthy ? 1 : 0 })));
+  
+  const caches = Object.entries(stats.cache);
+  metrics.counter('cache_lookups_total', 'walletCache and marketCache lookups, by result', caches.flatMap(([cache, c]) => [
+    { labels: { cache, result: 'hit' }, value: c.hits },
+    { labels: { cache, result: 'miss' }, value: c.misses },
+  ]));
+  metrics.gauge('cache_hit_ratio', 'Share of lookups answered from the cache since start',
+    caches.map(([cache, c]) => ({ labels: { cache }, value: c.hits + c.misses ? c.hits / (c.hits + c.misses) : 0 })));
+  metrics.gauge('cache_entries', 'Entries held in each cache', samplesBy('cache', { wallet: walletCache.size, market: marketCache.size }));
+  
+  metrics.counter('alerts_total', 'Alerts fired since start, by type', samplesBy('type', stats.alertsByType));
+  metrics.gauge('tracked_outcomes', 'Outcomes with tracked bets, by kind', samplesBy('kind', { fresh: betsByOutcome.size, all: allBetsByOutcome.size }));
+  
+  res.type('text/plain; version=0.0.4').send(metrics.text());
+});
+
 app.get('/', (req, res) => {
   res.send(`
 <!DOCTYPE html>
@@ -827,6 +2478,47 @@ app.get('/', (req, res) => {
       overflow-y: auto;
     }
     
+    .panel + .panel {
+      margin-top: 24px;
+    }
+    
+    /* Cross-market funding ancestors */
+    .ancestor {
+      padding: 16px 24px;
+      border-bottom: 1px solid var(--gray-800);
+      font-size: 12px;
+    }
+    
+    .ancestor-head {
+      display: flex;
+      justify-content: space-between;
+      font-family: 'IBM Plex Mono', monospace;
+      margin-bottom: 8px;
+    }
+    
+    .ancestor-head a {
+      color: var(--accent);
+      text-decoration: none;
+    }
+    
+    .ancestor-stats {
+      color: var(--gray-400);
+    }
+    
+    .ancestor-market {
+      color: var(--gray-300);
+      padding: 2px 0;
+    }
+    
+    .ancestor-market a {
+      color: var(--gray-300);
+    }
+    
+    .ancestor .btn {
+      margin-top: 8px;
+      padding: 6px 12px;
+    }
+    
     /* Alert Cards */
     .alert {
       padding: 24px;
@@ -912,36 +2604,129 @@ app.get('/', (req, res) => {
       border: 1px solid #ffaa00;
     }
     
-    @keyframes blink {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.3; }
+    .alert-count.exit {
+      background: linear-gradient(90deg, #ff4466, #ff7a59);
+      box-shadow: 0 0 20px rgba(255, 68, 102, 0.3);
     }
     
-    .alert-time {
-      font-family: 'IBM Plex Mono', monospace;
-      font-size: 11px;
-      color: var(--gray-500);
+    .alert-type-label.exit {
+      background: rgba(255, 68, 102, 0.2);
+      color: #ff4466;
+      border: 1px solid #ff4466;
     }
     
-    .alert-question {
-      font-size: 16px;
-      font-weight: 600;
-      line-height: 1.5;
-      margin-bottom: 12px;
-      color: var(--white);
+    .alert-count.anomaly {
+      background: linear-gradient(90deg, #b478ff, #6c8cff);
+      box-shadow: 0 0 20px rgba(180, 120, 255, 0.3);
     }
     
-    .alert-outcome {
-      display: inline-flex;
-      align-items: center;
-      gap: 10px;
-      padding: 10px 16px;
-      background: var(--accent-dim);
-      border: 1px solid var(--accent);
-      margin-bottom: 16px;
+    .alert-type-label.anomaly {
+      background: rgba(108, 140, 255, 0.2);
+      color: #6c8cff;
+      border: 1px solid #6c8cff;
     }
     
-    .alert-outcome-label {
+    .baseline-box {
+      margin-bottom: 16px;
+      padding: 12px 16px;
+      border: 1px solid #6c8cff;
+      background: rgba(0, 0, 0, 0.3);
+    }
+    
+    .baseline-percentile {
+      font-family: 'IBM Plex Mono', monospace;
+      font-size: 10px;
+      color: var(--gray-400);
+    }
+    
+    .position-line {
+      margin: -6px 0 16px;
+      font-size: 12px;
+      color: var(--gray-300);
+    }
+    
+    .wallet-sold {
+      display: block;
+      font-size: 10px;
+      color: #ff4466;
+    }
+    
+    .wallet-freshness {
+      margin-left: 6px;
+      font-size: 10px;
+      color: var(--gray-400);
+    }
+    
+    .wallet-owner {
+      display: block;
+      font-size: 10px;
+      color: var(--gray-400);
+    }
+    
+    .wallet-owner a {
+      color: var(--gray-400);
+    }
+    
+    .alert-type-label.wave {
+      background: rgba(180, 120, 255, 0.2);
+      color: #b478ff;
+      border: 1px solid #b478ff;
+    }
+    
+    .alert-type-label.ended {
+      background: transparent;
+      color: var(--gray-500);
+      border: 1px solid var(--gray-600);
+    }
+    
+    .alert-type-label.venue {
+      background: var(--blue-dim);
+      color: var(--gray-300);
+      border: 1px solid var(--gray-600);
+    }
+    
+    .alert-type-label.won {
+      background: rgba(0, 200, 120, 0.2);
+      color: #00c878;
+      border: 1px solid #00c878;
+    }
+    
+    .alert-type-label.lost {
+      background: rgba(255, 68, 102, 0.2);
+      color: #ff4466;
+      border: 1px solid #ff4466;
+    }
+    
+    @keyframes blink {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.3; }
+    }
+    
+    .alert-time {
+      font-family: 'IBM Plex Mono', monospace;
+      font-size: 11px;
+      color: var(--gray-500);
+    }
+    
+    .alert-question {
+      font-size: 16px;
+      font-weight: 600;
+      line-height: 1.5;
+      margin-bottom: 12px;
+      color: var(--white);
+    }
+    
+    .alert-outcome {
+      display: inline-flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 16px;
+      background: var(--accent-dim);
+      border: 1px solid var(--accent);
+      margin-bottom: 16px;
+    }
+    
+    .alert-outcome-label {
       font-size: 13px;
       font-weight: 600;
       color: var(--accent);
@@ -953,6 +2738,47 @@ app.get('/', (req, res) => {
       color: var(--gray-400);
     }
     
+    .alert-outcomes {
+      margin: -6px 0 16px;
+      font-size: 11px;
+      color: var(--gray-300);
+    }
+    
+    .alert-outcomes span {
+      color: var(--gray-500);
+      font-family: 'IBM Plex Mono', monospace;
+    }
+    
+    .event-group {
+      border-left: 2px solid var(--accent);
+      margin-bottom: 16px;
+    }
+    
+    .event-header {
+      display: flex;
+      justify-content: space-between;
+      padding: 10px 16px;
+      font-size: 11px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: var(--accent);
+      background: var(--gray-900);
+    }
+    
+    .event-count {
+      font-family: 'IBM Plex Mono', monospace;
+      color: var(--gray-400);
+    }
+    
+    .event-group.single {
+      border-left: none;
+    }
+    
+    .event-group.single > .event-header {
+      display: none;
+    }
+    
     .alert-meta {
       display: flex;
       gap: 24px;
@@ -1033,6 +2859,23 @@ app.get('/', (req, res) => {
       color: var(--gray-300);
     }
     
+    .score-rule {
+      display: grid;
+      grid-template-columns: 140px 1fr auto;
+      gap: 8px;
+      font-size: 11px;
+      padding: 3px 0;
+      color: var(--gray-500);
+    }
+    
+    .score-rule.triggered { color: var(--gray-300); }
+    
+    .score-rule .rule-points {
+      font-family: 'IBM Plex Mono', monospace;
+    }
+    
+    .score-rule.triggered .rule-points { color: var(--white); font-weight: 600; }
+    
     .alert-actions {
       display: flex;
       gap: 12px;
@@ -1236,6 +3079,40 @@ app.get('/', (req, res) => {
       text-decoration: underline;
     }
     
+    .profile-section {
+      padding: 16px 24px;
+      border-bottom: 1px solid var(--gray-800);
+      font-size: 12px;
+      color: var(--gray-400);
+    }
+    
+    .profile-links a {
+      color: var(--accent);
+      text-decoration: none;
+      margin-right: 16px;
+    }
+    
+    .profile-facts {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 20px;
+      margin-top: 10px;
+      font-family: 'IBM Plex Mono', monospace;
+      font-size: 11px;
+    }
+    
+    .profile-facts a {
+      color: var(--yellow);
+      text-decoration: none;
+    }
+    
+    .wallet-row.profile-row {
+      grid-template-columns: 1fr 70px 110px 90px;
+    }
+    
+    .pnl-up { color: #00c878; }
+    .pnl-down { color: #ff4466; }
+    
     /* Responsive */
     @media (max-width: 768px) {
       .wrapper { padding: 16px; }
@@ -1290,6 +3167,14 @@ app.get('/', (req, res) => {
     </header>
     
     <div class="stats-bar">
+      <div class="stat">
+        <div class="stat-label">Trades Seen</div>
+        <div class="stat-value" id="trades">0</div>
+      </div>
+      <div class="stat">
+        <div class="stat-label">Fresh Wallet Bets</div>
+        <div class="stat-value yellow" id="freshWallets">0</div>
+      </div>
       <div class="stat">
         <div class="stat-label">Clusters Found</div>
         <div class="stat-value blue" id="alerts">0</div>
@@ -1304,8 +3189,8 @@ app.get('/', (req, res) => {
       <div class="panel-header">
         <div class="panel-title">Cluster Alerts</div>
         <div class="panel-badges">
-          <span class="panel-badge fresh">FRESH: ${CONFIG.freshWalletThreshold}+ wallets @ $${CONFIG.minBetAmount}+</span>
-          <span class="panel-badge volume">VOLUME: ${CONFIG.anyWalletThreshold}+ wallets @ $${CONFIG.anyWalletMinBet}+</span>
+          <span class="panel-badge fresh" id="freshBadge">FRESH: ${CONFIG.freshWalletThreshold}+ wallets @ $${CONFIG.minBetAmount}+</span>
+          <span class="panel-badge volume" id="volumeBadge">VOLUME: ${CONFIG.anyWalletThreshold}+ wallets @ $${CONFIG.anyWalletMinBet}+</span>
         </div>
       </div>
       <div class="panel-body" id="alertsPanel">
@@ -1321,6 +3206,30 @@ app.get('/', (req, res) => {
     </div>
   </div>
   
+  <div class="wrapper" id="ancestorsWrapper" style="display: none; padding-top: 0;">
+    <div class="panel">
+      <div class="panel-header">
+        <div class="panel-title">Funders Across Markets</div>
+        <div class="panel-badges">
+          <span class="panel-badge">SAME ANCESTOR IN 2+ MARKETS</span>
+        </div>
+      </div>
+      <div class="panel-body" id="ancestorsPanel"></div>
+    </div>
+  </div>
+  
+  <div class="wrapper" id="suppressedWrapper" style="display: none; padding-top: 0;">
+    <div class="panel">
+      <div class="panel-header">
+        <div class="panel-title">Suppressed Clusters</div>
+        <div class="panel-badges">
+          <span class="panel-badge">HELD BACK BY MARKET FILTERS</span>
+        </div>
+      </div>
+      <div class="panel-body" id="suppressedPanel"></div>
+    </div>
+  </div>
+  
   <!-- Wallets Modal -->
   <div class="modal-overlay" id="modalOverlay">
     <div class="modal">
@@ -1345,6 +3254,18 @@ app.get('/', (req, res) => {
     const modalBody = $('modalBody');
     const modalTitle = $('modalTitle');
     
+    const FRESHNESS_REASONS = ${JSON.stringify(Object.fromEntries(Object.entries(FRESHNESS_REASONS).map(([code, r]) => [code, r.text])))};
+    const freshnessText = reasons => (reasons || []).map(code => FRESHNESS_REASONS[code] || code).join(', ');
+    const shortAddress = address => \`\${address.slice(0,6)}...\${address.slice(-4)}\`;
+    
+    // Owner EOA behind a proxy/Safe wallet, and the other wallets of that owner in the cluster
+    function ownerHtml(w, alertId) {
+      if (!w.owner) return '';
+      const others = (w.addresses || []).filter(a => a.toLowerCase() !== w.address.toLowerCase());
+      const more = others.length ? \` + \${others.map(a => \`<a href="#" onclick="showWallet('\${a}', \${alertId}); return false;">\${shortAddress(a)}</a>\`).join(', ')}\` : '';
+      return \`<span class="wallet-owner">owner <a href="#" onclick="showWallet('\${w.owner}', \${alertId}); return false;">\${shortAddress(w.owner)}</a>\${more}</span>\`;
+    }
+    
     modalClose.onclick = () => modalOverlay.classList.remove('active');
     modalOverlay.onclick = (e) => {
       if (e.target === modalOverlay) modalOverlay.classList.remove('active');
@@ -1355,7 +3276,9 @@ app.get('/', (req, res) => {
       if (!alert) return;
       
       const walletCount = alert.freshWallets || alert.walletCount;
-      modalTitle.textContent = \`\${walletCount} Wallets in Cluster\`;
+      modalTitle.textContent = alert.alertType === 'exit'
+        ? \`\${alert.exitingWallets} of \${walletCount} Wallets Exited\`
+        : \`\${walletCount} Wallets in Cluster\`;
       
       let html = \`
         <div class="wallet-row wallet-row-header">
@@ -1367,12 +3290,16 @@ app.get('/', (req, res) => {
       \`;
       
       alert.wallets.forEach(w => {
-        const amount = w.amount ? '$' + w.amount.toFixed(2) : '—';
-        const funder = w.funder ? \`<a href="https://polygonscan.com/address/\${w.funder}" target="_blank">\${w.funder.slice(0,6)}...\${w.funder.slice(-4)}</a>\` : '—';
+        const sold = w.soldUsdc ? \` <span class="wallet-sold">sold $\${w.soldUsdc.toFixed(2)}</span>\` : '';
+        const amount = (w.amount ? '$' + w.amount.toFixed(2) : '—') + sold;
+        const funderText = w.funderLabel ? w.funderLabel.name : \`\${w.funder?.slice(0,6)}...\${w.funder?.slice(-4)}\`;
+        const funder = w.funder ? \`<a href="https://polygonscan.com/address/\${w.funder}" target="_blank">\${funderText}</a>\` : '—';
+        const freshness = w.freshnessScore !== undefined ? \`<span class="wallet-freshness" title="\${freshnessText(w.freshnessReasons)}">\${w.freshnessScore}</span>\` : '';
         html += \`
           <div class="wallet-row">
             <div class="wallet-address">
-              <a href="https://polygonscan.com/address/\${w.address}" target="_blank">\${w.address.slice(0,6)}...\${w.address.slice(-4)}</a>
+              <a href="#" onclick="showWallet('\${w.address}', \${alertId}); return false;">\${w.address.slice(0,6)}...\${w.address.slice(-4)}</a>\${freshness}
+              \${ownerHtml(w, alertId)}
             </div>
             <div class="wallet-amount">\${amount}</div>
             <div class="wallet-funder">\${funder}</div>
@@ -1387,6 +3314,90 @@ app.get('/', (req, res) => {
       modalOverlay.classList.add('active');
     }
     
+    const usd = n => (n < 0 ? '-$' : '$') + Math.abs(n || 0).toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    const pnlClass = n => n > 0 ? 'pnl-up' : n < 0 ? 'pnl-down' : '';
+    
+    // Which EOA controls a profiled wallet, and its other wallets
+    function ownershipHtml(p, backToAlertId) {
+      const link = a => \`<a href="#" onclick="showWallet('\${a}', \${backToAlertId || 'null'}); return false;">\${shortAddress(a)}</a>\`;
+      const facts = [];
+      if (p.owner) facts.push(\`\${p.kind === 'safe' ? 'Safe' : 'Proxy wallet'} owned by \${link(p.owner)}\`);
+      if (p.ownedWallets && p.ownedWallets.length) facts.push(\`\${p.owner ? 'Same owner' : 'Controls'}: \${p.ownedWallets.map(link).join(', ')}\`);
+      return facts.length ? \`<div class="profile-facts">\${facts.map(f => \`<span>\${f}</span>\`).join('')}</div>\` : '';
+    }
+    
+    // Wallet profile: freshness and funder, P&L, positions, alerts and recent fills
+    async function showWallet(address, backToAlertId) {
+      modalTitle.textContent = \`Wallet \${address.slice(0,6)}...\${address.slice(-4)}\`;
+      modalBody.innerHTML = '<div class="profile-section">Loading…</div>';
+      modalOverlay.classList.add('active');
+      
+      const response = await fetch(\`/api/wallets/\${address}?limit=100\`);
+      const p = await response.json();
+      if (!response.ok) {
+        modalBody.innerHTML = \`<div class="profile-section">\${p.error}</div>\`;
+        return;
+      }
+      
+      const back = backToAlertId ? \`<a href="#" onclick="showWallets(\${backToAlertId}); return false;">← Cluster</a>\` : '';
+      const funder = p.funder ? \`<a href="https://polygonscan.com/address/\${p.funder}" target="_blank">\${p.funding && p.funding.label ? p.funding.label.name : p.funder.slice(0,6) + '...' + p.funder.slice(-4)}</a>\` : '—';
+      const pnlTotal = p.pnl.realizedPnl + p.pnl.unrealizedPnl;
+      
+      let html = \`
+        <div class="profile-section">
+          <div class="profile-links">\${back} <a href="https://polygonscan.com/address/\${p.address}" target="_blank">Polygonscan ↗</a></div>
+          <div class="profile-facts">
+            <span>\${p.isFresh === undefined ? 'Freshness not checked' : p.isFresh ? '🆕 Fresh' : 'Established'}\${p.freshnessScore !== undefined ? \` (score \${p.freshnessScore})\` : ''}</span>
+            <span>\${p.kind && p.kind !== 'eoa' ? p.kind === 'safe' ? 'Safe' : 'Proxy wallet' : 'TX count'}: \${p.owner ? \`owner \${p.ownerTxCount ?? '—'} tx\` : p.txCount ?? '—'}</span>
+            <span>Funder: \${funder}</span>
+          </div>
+          \${p.freshnessReasons ? \`<div class="profile-facts"><span>\${freshnessText(p.freshnessReasons)}</span></div>\` : ''}
+          \${ownershipHtml(p, backToAlertId)}
+          <div class="profile-facts">
+            <span>Bought \${usd(p.pnl.boughtUsdc)}</span>
+            <span>Sold \${usd(p.pnl.soldUsdc)}</span>
+            <span>Realized <b class="\${pnlClass(p.pnl.realizedPnl)}">\${usd(p.pnl.realizedPnl)}</b></span>
+            <span>Unrealized <b class="\${pnlClass(p.pnl.unrealizedPnl)}">\${usd(p.pnl.unrealizedPnl)}</b></span>
+            <span>Total <b class="\${pnlClass(pnlTotal)}">\${usd(pnlTotal)}</b></span>
+          </div>
+        </div>
+        <div class="wallet-row wallet-row-header profile-row"><div>Position</div><div>Shares</div><div>Avg → Now</div><div>P&amp;L</div></div>
+      \`;
+      
+      html += p.positions.map(pos => \`
+        <div class="wallet-row profile-row">
+          <div>\${pos.question || pos.tokenId.slice(0, 12) + '…'} <span class="wallet-funder">\${pos.outcome || ''}</span></div>
+          <div class="wallet-amount">\${pos.shares.toFixed(0)}</div>
+          <div class="wallet-amount">\${pos.shares > 0 ? cents(pos.avgCost) : '—'} → \${pos.currentPrice !== null ? cents(pos.currentPrice) : '—'}</div>
+          <div class="wallet-amount \${pnlClass(pos.realizedPnl + pos.unrealizedPnl)}">\${usd(pos.realizedPnl + pos.unrealizedPnl)}</div>
+        </div>
+      \`).join('') || '<div class="profile-section">No fills seen</div>';
+      
+      if (p.alerts.length) {
+        html += '<div class="wallet-row wallet-row-header profile-row"><div>Alerts</div><div>Type</div><div>Score</div><div>When</div></div>';
+        html += p.alerts.map(a => \`
+          <div class="wallet-row profile-row">
+            <div>\${a.question} <span class="wallet-funder">\${a.outcome}</span></div>
+            <div>\${a.alertType}</div>
+            <div class="wallet-amount">\${a.suspicionScore ?? '—'}</div>
+            <div class="wallet-amount">\${new Date(a.timestamp).toLocaleDateString()}</div>
+          </div>
+        \`).join('');
+      }
+      
+      html += \`<div class="wallet-row wallet-row-header profile-row"><div>Fills (\${p.fills.length} of \${p.fillCount})</div><div>Side</div><div>Shares @ Price</div><div>TX</div></div>\`;
+      html += p.fills.map(f => \`
+        <div class="wallet-row profile-row">
+          <div>\${new Date(f.timestamp).toLocaleString()} · \${f.venue}</div>
+          <div class="\${f.side === 'BUY' ? 'pnl-up' : 'pnl-down'}">\${f.side}</div>
+          <div class="wallet-amount">\${f.shares.toFixed(0)} @ \${cents(f.price)}</div>
+          <div class="wallet-tx"><a href="https://polygonscan.com/tx/\${f.txHash}" target="_blank">View</a></div>
+        </div>
+      \`).join('');
+      
+      modalBody.innerHTML = html;
+    }
+    
     socket.on('connect', () => {
       $('pulse').classList.add('live');
       $('status').classList.add('live');
@@ -1399,9 +3410,20 @@ app.get('/', (req, res) => {
       $('status').textContent = 'OFFLINE';
     });
     
+    // Thresholds can be hot-reloaded on the server
+    socket.on('config', c => {
+      $('freshBadge').textContent = \`FRESH: \${c.freshWalletThreshold}+ wallets @ $\${c.minBetAmount}+\`;
+      $('volumeBadge').textContent = \`VOLUME: \${c.anyWalletThreshold}+ wallets @ $\${c.anyWalletMinBet}+\`;
+    });
+    
     socket.on('stats', s => {
+      $('trades').textContent = s.totalTrades.toLocaleString();
+      $('freshWallets').textContent = s.freshWalletsDetected.toLocaleString();
       $('alerts').textContent = s.alertsTriggered.toLocaleString();
       if (s.lastBlock) $('block').textContent = s.lastBlock.toLocaleString();
+      if (s.ingest.latencyMs !== null) {
+        $('block').title = \`\${s.ingest.mode === 'websocket' ? 'Pushed' : 'Polled'}: newest fill applied \${(s.ingest.latencyMs / 1000).toFixed(1)}s after its block\`;
+      }
     });
     
     socket.on('newAlert', alert => {
@@ -1410,7 +3432,7 @@ app.get('/', (req, res) => {
         $('alertsPanel').innerHTML = '';
         hasAlerts = true;
       }
-      $('alertsPanel').insertBefore(createAlert(alert), $('alertsPanel').firstChild);
+      placeAlert(alert, true);
       
       if (Notification.permission === 'granted') {
         new Notification('Cluster Detected', { body: alert.question });
@@ -1422,8 +3444,28 @@ app.get('/', (req, res) => {
       const el = document.querySelector(\`[data-id="\${alert.id}"]\`);
       if (el) {
         const countEl = el.querySelector('.alert-count span');
-        const walletCount = alert.alertType === 'fresh' ? alert.freshWallets : alert.walletCount;
-        if (countEl) countEl.textContent = walletCount + ' WALLETS';
+        if (countEl) countEl.textContent = walletCountText(alertsData[alert.id]);
+        
+        const priceEl = el.querySelector('.alert-outcome-price');
+        if (priceEl) priceEl.textContent = priceText(alertsData[alert.id]);
+        
+        const outcomesEl = el.querySelector('.alert-outcomes-slot');
+        if (outcomesEl) outcomesEl.innerHTML = outcomesHtml(alertsData[alert.id]);
+        
+        const episodeEl = el.querySelector('.alert-episode');
+        if (episodeEl) episodeEl.innerHTML = episodeHtml(alertsData[alert.id]);
+        
+        const resolutionEl = el.querySelector('.alert-resolution');
+        if (resolutionEl) resolutionEl.innerHTML = resolutionHtml(alertsData[alert.id]);
+        
+        const suspicionEl = el.querySelector('.alert-suspicion');
+        if (suspicionEl) suspicionEl.innerHTML = suspicionHtml(alertsData[alert.id]);
+        
+        const positionEl = el.querySelector('.alert-position');
+        if (positionEl) positionEl.innerHTML = positionHtml(alertsData[alert.id]);
+        
+        const baselineEl = el.querySelector('.alert-baseline');
+        if (baselineEl) baselineEl.innerHTML = baselineHtml(alertsData[alert.id]);
         
         const metaEl = el.querySelector('.alert-meta');
         if (metaEl && alert.totalAmount) {
@@ -1436,65 +3478,248 @@ app.get('/', (req, res) => {
       }
     });
     
+    socket.on('fundingAncestors', list => {
+      $('ancestorsWrapper').style.display = list.length ? '' : 'none';
+      $('ancestorsPanel').innerHTML = list.map(a => \`
+        <div class="ancestor">
+          <div class="ancestor-head">
+            <a href="https://polygonscan.com/address/\${a.ancestor}" target="_blank">\${a.ancestor.slice(0,6)}...\${a.ancestor.slice(-4)}</a>
+            <span class="ancestor-stats">\${a.marketCount} markets · \${a.walletCount} wallets</span>
+          </div>
+          \${a.alerts.map(al => \`
+            <div class="ancestor-market">\${al.question} · <strong>\${al.outcome}</strong> · \${al.walletCount} wallets within \${al.hops} hops</div>
+          \`).join('')}
+        </div>
+      \`).join('');
+    });
+    
+    // Admin routes need the token; ask once per tab
+    async function adminFetch(url, options = {}) {
+      const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, authorization: 'Bearer ' + (sessionStorage.getItem('adminToken') || '') },
+      });
+      let response = await send();
+      if (response.status === 401) {
+        const token = prompt('Admin token');
+        if (!token) return response;
+        sessionStorage.setItem('adminToken', token);
+        response = await send();
+      }
+      return response;
+    }
+    
+    async function releaseSuppressed(id) {
+      const response = await adminFetch(\`/admin/suppressed/\${encodeURIComponent(id)}/release\`, { method: 'POST' });
+      if (!response.ok) window.alert((await response.json()).error);
+    }
+    
+    socket.on('suppressed', list => {
+      $('suppressedWrapper').style.display = list.length ? '' : 'none';
+      $('suppressedPanel').innerHTML = list.slice(0, 50).map(s => \`
+        <div class="ancestor">
+          <div class="ancestor-head">
+            <span>\${s.alertType.toUpperCase()} · \${s.rule}</span>
+            <span class="ancestor-stats">\${s.walletCount} wallets · $\${Math.round(s.totalAmount).toLocaleString()} · \${new Date(s.lastSeenAt).toLocaleString()}</span>
+          </div>
+          <div class="ancestor-market">
+            \${s.polymarketUrl ? \`<a href="\${s.polymarketUrl}" target="_blank">\${s.question}</a>\` : s.question} · <strong>\${s.outcome}</strong>
+          </div>
+          <button class="btn" onclick="releaseSuppressed('\${s.id}')">Un-suppress</button>
+        </div>
+      \`).join('');
+    });
+    
     socket.on('existingAlerts', list => {
       if (list.length) {
         $('alertsPanel').innerHTML = '';
         hasAlerts = true;
         list.forEach(a => {
           alertsData[a.id] = a;
-          $('alertsPanel').appendChild(createAlert(a));
+          placeAlert(a, false);
         });
       }
     });
     
+    // Alerts on markets of the same event share a group; the group moves to
+    // the top when one of its alerts is new
+    function placeAlert(a, atTop) {
+      const panel = $('alertsPanel');
+      const el = createAlert(a);
+      const put = (parent, child) => atTop ? parent.insertBefore(child, parent.firstChild) : parent.appendChild(child);
+      
+      if (!a.eventId) {
+        put(panel, el);
+        return;
+      }
+      
+      let group = panel.querySelector(\`.event-group[data-event="\${a.eventId}"]\`);
+      if (!group) {
+        group = document.createElement('div');
+        group.className = 'event-group';
+        group.setAttribute('data-event', a.eventId);
+        group.innerHTML = \`
+          <div class="event-header">
+            <span class="event-title">\${a.eventTitle || 'Event'}</span>
+            <span class="event-count"></span>
+          </div>
+          <div class="event-alerts"></div>
+        \`;
+        put(panel, group);
+      } else if (atTop) {
+        panel.insertBefore(group, panel.firstChild);
+      }
+      
+      const body = group.querySelector('.event-alerts');
+      put(body, el);
+      group.querySelector('.event-count').textContent = body.children.length + ' ALERTS';
+      group.classList.toggle('single', body.children.length < 2);
+    }
+    
+    // Other outcomes the same cluster bought when detection spans a market or event
+    function outcomesHtml(a) {
+      if (!a.outcomes || a.outcomes.length < 2) return '';
+      return \`
+        <div class="alert-outcomes">
+          \${a.outcomes.map(o => \`
+            <div>\${o.outcome || '?'} · \${o.question || o.outcomeId} <span>\${o.wallets} wallets, $\${Math.round(o.amount).toLocaleString()}</span></div>
+          \`).join('')}
+        </div>
+      \`;
+    }
+    
+    const cents = p => (p * 100).toFixed(0) + '¢';
+    
+    // Latest price, prefixed with where the cluster got in (or out) once we know both
+    function priceText(a) {
+      if (!a.price) return '—';
+      if (a.alertType === 'exit' && a.avgExitPrice) return \`sold at \${cents(a.avgExitPrice)} → \${cents(a.price)}\`;
+      return a.avgEntryPrice ? \`entry \${cents(a.avgEntryPrice)} → \${cents(a.price)}\` : cents(a.price);
+    }
+    
+    function walletCountText(a) {
+      if (a.alertType === 'exit') return \`\${a.exitingWallets}/\${a.walletCount} EXITED\`;
+      return (a.alertType === 'fresh' ? a.freshWallets : a.walletCount) + ' WALLETS';
+    }
+    
+    // This hour against the outcome's usual hour: value, mean ± std and z-score
+    function baselineHtml(a) {
+      const b = a.baseline;
+      if (!b) return '';
+      const z = v => v === null ? '—' : v.toFixed(1);
+      const pct = v => v === null ? '—' : (v * 100).toFixed(0) + '%';
+      const count = v => v === null ? '—' : v.toFixed(Number.isInteger(v) ? 0 : 1);
+      const usdAmount = v => v === null ? '—' : '$' + Math.round(v).toLocaleString();
+      const row = (label, current, base, zValue, fmt) => \`
+        <div class="score-rule \${zValue !== null && zValue >= b.zThreshold ? 'triggered' : ''}">
+          <span class="rule-name">\${label}</span>
+          <span class="rule-detail">\${fmt(current)} vs \${fmt(base.mean)} ± \${fmt(base.std)}</span>
+          <span class="rule-points">z \${z(zValue)}</span>
+        </div>
+      \`;
+      return \`
+        <div class="baseline-box">
+          <div class="suspicion-header">
+            <span class="suspicion-label">📈 VS. BASELINE (\${b.hours}H)</span>
+            <span class="baseline-percentile">busier than \${pct(b.percentile.wallets)} of hours</span>
+          </div>
+          \${row('Wallets / hour', b.current.wallets, b.baseline.wallets, b.z.wallets, count)}
+          \${row('Fresh share', b.current.freshShare, b.baseline.freshShare, b.z.freshShare, pct)}
+          \${row('Avg ticket', b.current.avgTicket, b.baseline.avgTicket, b.z.avgTicket, usdAmount)}
+        </div>
+      \`;
+    }
+    
+    // How much of what the cluster bought it still holds, once any of it sold
+    function positionHtml(a) {
+      const p = a.position;
+      if (!p || !p.soldShares) return '';
+      const held = p.boughtShares ? Math.round(p.netShares / p.boughtShares * 100) : 0;
+      return \`
+        <div class="position-line">
+          📉 Net position \${Math.round(p.netShares).toLocaleString()} shares (\${held}% still held) · \${p.exited} of \${p.wallets} wallets exited
+        </div>
+      \`;
+    }
+    
+    const ruleValue = v => v === null || v === undefined ? '—' : Number.isInteger(v) ? v : v.toFixed(2);
+    
+    // Later waves on the same group, and whether the cluster has decayed
+    function episodeHtml(a) {
+      const wave = a.wave > 1 ? \`<span class="alert-type-label wave" title="Follows alert \${a.previousAlertId}">WAVE \${a.wave}</span>\` : '';
+      const ended = a.reorgedAt ? '<span class="alert-type-label ended">REORGED</span>'
+        : a.expiredAt ? '<span class="alert-type-label ended">ENDED</span>' : '';
+      return wave + ended;
+    }
+    
+    // Once the market resolves: did the cluster's outcome win, and what copying it returned
+    function resolutionHtml(a) {
+      const r = a.resolution;
+      if (!r) return '';
+      const copy = r.copyReturn !== null ? \` \${r.copyReturn >= 0 ? '+' : ''}\${(r.copyReturn * 100).toFixed(0)}%\` : '';
+      return \`<span class="alert-type-label \${r.won ? 'won' : 'lost'}">\${r.won ? 'WON' : 'LOST'}\${copy}</span>\`;
+    }
+    
+    // Score with one row per rule: what it measured, and the points it added
+    function suspicionHtml(a) {
+      if (a.suspicionScore === undefined) return '';
+      const scoreClass = a.suspicionScore >= 70 ? 'high' : a.suspicionScore >= 40 ? 'medium' : 'low';
+      // Alerts stored before per-rule scoring only have flags
+      const rules = a.scoreBreakdown
+        ? a.scoreBreakdown.map(r => \`
+            <div class="score-rule \${r.triggered ? 'triggered' : ''}">
+              <span class="rule-name">\${r.triggered ? '⚠️' : '·'} \${r.label}</span>
+              <span class="rule-detail">\${r.triggered ? r.flags.join(' · ') : \`measured \${ruleValue(r.value)}, threshold \${ruleValue(r.threshold)}\`}</span>
+              <span class="rule-points">+\${r.points}</span>
+            </div>
+          \`).join('')
+        : \`<div class="suspicion-flags">\${(a.suspicionFlags || []).map(f => \`<span class="flag">⚠️ \${f}</span>\`).join('')}</div>\`;
+      return \`
+        <div class="suspicion-box \${scoreClass}">
+          <div class="suspicion-header">
+            <span class="suspicion-label">🔍 SUSPICION SCORE</span>
+            <span class="suspicion-score">\${a.suspicionScore}/100</span>
+          </div>
+          \${rules}
+        </div>
+      \`;
+    }
+    
     function createAlert(a) {
       const el = document.createElement('div');
       el.className = 'alert';
       el.setAttribute('data-id', a.id);
       
-      const price = a.price ? (a.price * 100).toFixed(0) + '¢' : '—';
       const time = new Date(a.timestamp).toLocaleTimeString();
       const polymarketLink = a.polymarketUrl || (a.slug ? 'https://polymarket.com/event/' + a.slug : null);
       const totalAmount = a.totalAmount ? '$' + a.totalAmount.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2}) : '—';
       
       // Determine alert type
       const isFresh = a.alertType === 'fresh';
-      const walletCount = isFresh ? a.freshWallets : a.walletCount;
-      const countClass = isFresh ? '' : 'volume';
-      const typeLabel = isFresh ? 'FRESH' : 'VOLUME';
-      const typeLabelClass = isFresh ? 'fresh' : 'volume';
-      
-      // Build suspicion flags HTML
-      let suspicionHtml = '';
-      if (isFresh && a.suspicionFlags && a.suspicionFlags.length > 0) {
-        const scoreClass = a.suspicionScore >= 70 ? 'high' : a.suspicionScore >= 40 ? 'medium' : 'low';
-        suspicionHtml = \`
-          <div class="suspicion-box \${scoreClass}">
-            <div class="suspicion-header">
-              <span class="suspicion-label">🔍 SUSPICION SCORE</span>
-              <span class="suspicion-score">\${a.suspicionScore}/100</span>
-            </div>
-            <div class="suspicion-flags">
-              \${a.suspicionFlags.map(f => \`<span class="flag">⚠️ \${f}</span>\`).join('')}
-            </div>
-          </div>
-        \`;
-      }
+      const countClass = isFresh ? '' : a.alertType;
+      const typeLabel = a.alertType.toUpperCase();
+      const typeLabelClass = a.alertType;
       
       el.innerHTML = \`
         <div class="alert-top">
           <div>
-            <span class="alert-count \${countClass}"><span>\${walletCount} WALLETS</span></span>
+            <span class="alert-count \${countClass}"><span>\${walletCountText(a)}</span></span>
             <span class="alert-type-label \${typeLabelClass}">\${typeLabel}</span>
+            \${a.venue ? \`<span class="alert-type-label venue">\${a.venue}</span>\` : ''}
+            <span class="alert-episode">\${episodeHtml(a)}</span>
+            <span class="alert-resolution">\${resolutionHtml(a)}</span>
           </div>
           <div class="alert-time">\${time}</div>
         </div>
         <div class="alert-question">\${a.question}</div>
         <div class="alert-outcome">
           <span class="alert-outcome-label">\${a.outcome}</span>
-          <span class="alert-outcome-price">\${price}</span>
+          <span class="alert-outcome-price">\${priceText(a)}</span>
         </div>
-        \${suspicionHtml}
+        <div class="alert-outcomes-slot">\${outcomesHtml(a)}</div>
+        <div class="alert-suspicion">\${suspicionHtml(a)}</div>
+        <div class="alert-position">\${positionHtml(a)}</div>
+        <div class="alert-baseline">\${baselineHtml(a)}</div>
         <div class="alert-meta">
           <span>💰 \${totalAmount} total</span>
           <span>⏱ \${new Date(a.firstBet).toLocaleTimeString()} → \${new Date(a.latestBet).toLocaleTimeString()}</span>
@@ -1519,82 +3744,570 @@ app.get('/', (req, res) => {
 // SOCKET.IO
 // ============================================================================
 
+// The subset of CONFIG the dashboard displays
+function dashboardConfig() {
+  const { freshWalletThreshold, minBetAmount, anyWalletThreshold, anyWalletMinBet, timeWindowMs } = CONFIG;
+  return { freshWalletThreshold, minBetAmount, anyWalletThreshold, anyWalletMinBet, timeWindowMs };
+}
+
 io.on('connection', (socket) => {
   console.log('Dashboard client connected');
+  socket.emit('config', dashboardConfig());
   socket.emit('stats', stats);
   socket.emit('existingAlerts', alerts);
+  socket.emit('fundingAncestors', crossMarketAncestors());
+  socket.emit('suppressed', suppressedList());
 });
 
 // ============================================================================
 // MAIN BOT
 // ============================================================================
 
+// After a reload lowers a threshold, outcomes already past it alert now instead
+// of waiting for their next bet
+async function recheckTrackedOutcomes() {
+  // Groups with a running episode already alerted (or were skipped)
+  const settled = (kind, outcomeId) => {
+    const episode = episodes[kind].get(scopeKey(outcomeId));
+    return episode && episode.state !== 'cooldown';
+  };
+  
+  for (const [outcomeId, bets] of betsByOutcome.entries()) {
+    if (settled('fresh', outcomeId) || !bets.length) continue;
+    await checkAndAlert(outcomeId, Math.max(...bets.map(b => b.timestamp)));
+  }
+  for (const [outcomeId, bets] of allBetsByOutcome.entries()) {
+    if (settled('all', outcomeId) || !bets.length) continue;
+    await checkAndAlertAllWallets(outcomeId, Math.max(...bets.map(b => b.timestamp)));
+  }
+}
+
+function onConfigReload() {
+  io.emit('config', dashboardConfig());
+  // Behind any chunk being applied, which may be checking the same groups
+  serially(recheckTrackedOutcomes).catch(error => console.error(`Recheck after reload failed: ${error.message}`));
+}
+
+async function connect() {
+  // rpcUrls, when set, replaces the single rpcUrl
+  const endpoints = CONFIG.rpcUrls.length ? CONFIG.rpcUrls : [{ url: CONFIG.rpcUrl, weight: 1 }];
+  const pool = createProviderPool(endpoints, {
+    network: POLYGON,
+    timeoutMs: CONFIG.rpcTimeoutMs,
+    healthCheckMs: CONFIG.rpcHealthCheckMs,
+    maxLagBlocks: CONFIG.rpcMaxLagBlocks,
+    onCall: recordRpcCall,
+  });
+  const { provider } = pool;
+  
+  try {
+    await pool.checkHealth();
+    const chainId = Number(await provider.send('eth_chainId', []));
+    if (chainId !== Number(POLYGON.chainId)) throw new Error(`RPC is on chain ${chainId}, expected ${POLYGON.chainId}`);
+  } catch (error) {
+    pool.stop();
+    throw error;
+  }
+  if (rpcPool) rpcPool.stop();
+  rpcPool = pool;
+  console.log(`Connected to: ${POLYGON.name} (chainId: ${POLYGON.chainId}) via ${endpoints.length} endpoint${endpoints.length === 1 ? '' : 's'}`);
+  
+  fundingResolver = createFundingResolver(provider, {
+    lookbackBlocks: CONFIG.fundingLookbackBlocks,
+    chunkBlocks: CONFIG.fundingChunkBlocks,
+    maxEmptyWindows: CONFIG.fundingMaxEmptyWindows,
+    explorerApiUrl: CONFIG.explorerApiUrl,
+    explorerApiKey: CONFIG.explorerApiKey,
+    knownFunders: CONFIG.knownFunders,
+  });
+  
+  ownerResolver = createOwnerResolver(provider, {
+    factories: CONFIG.walletFactories,
+    store,
+  });
+  
+  fundingGraph = createFundingGraph(fundingResolver, {
+    maxHops: CONFIG.fundingMaxHops,
+    stopList: CONFIG.fundingStopList,
+  });
+  
+  const exchanges = CONFIG.exchanges.map(exchange => ({
+    ...exchange,
+    contract: new ethers.Contract(exchange.address, VENUE_KINDS[exchange.kind].abi, provider),
+  }));
+  
+  for (const exchange of exchanges) {
+    console.log(`Watching ${exchange.venue}: ${exchange.address}`);
+  }
+  
+  blockClock = createBlockClock(provider);
+  
+  return { provider, clock: blockClock, exchanges, conditionalTokens: conditionalTokensContract(provider) };
+}
+
+// Stream pushes, gap fills and poll rounds all change the same state, so they
+// take turns
+let queueTail = Promise.resolve();
+function serially(task) {
+  const run = queueTail.then(task);
+  queueTail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Start the lookups isWalletFresh will need for a batch of events before any
+ * of it is applied. Nonces and owners of every wallet with a fresh-sized buy
+ * go out lookupBatchSize wallets at a time, which ethers sends as one
+ * JSON-RPC batch per call type; funding traces follow, lookupConcurrency at
+ * a time, for the wallets a deposit could still make fresh. Results are
+ * only read as each event is applied in order, so they can't change what
+ * gets alerted. Returns how many wallets were looked up.
+ */
+async function prefetchWallets(provider, events, blockTimes) {
+  // Each wallet's first fresh-sized buy, which is where isWalletFresh looks it up
+  const firstBuys = new Map();
+  for (const { event, exchange } of events) {
+    for (const fill of VENUE_KINDS[exchange.kind].decode(event)) {
+      if (fill.side !== 'BUY' || fill.usdc < CONFIG.minBetAmount) continue;
+      if (fill.wallet === ethers.ZeroAddress || VENUE_ADDRESSES.has(fill.wallet.toLowerCase())) continue;
+      const key = fill.wallet.toLowerCase();
+      if (!firstBuys.has(key)) {
+        firstBuys.set(key, { wallet: fill.wallet, tokenId: fill.tokenId, blockNumber: event.blockNumber, timestamp: blockTimes.get(event.blockNumber) });
+      }
+    }
+  }
+  const buys = [...firstBuys.entries()];
+  
+  const unknown = buys.filter(([key]) => !cachedSignals(key));
+  for (let i = 0; i < unknown.length; i += CONFIG.lookupBatchSize) {
+    const batch = unknown.slice(i, i + CONFIG.lookupBatchSize).map(([key, buy]) => {
+      const signals = lookupSignals(provider, buy.wallet, REPLAY ? buy.blockNumber : 'latest');
+      prefetched.set(key, { signals });
+      return signals;
+    });
+    await Promise.allSettled(batch);
+  }
+  
+  // Judged on the history from before this batch, which its own fills can
+  // only make less fresh, so this traces at most a few wallets too many
+  const toTrace = [];
+  for (const [key, buy] of buys) {
+    const early = prefetched.get(key);
+    const signals = cachedSignals(key) || (early && await early.signals.catch(() => null));
+    if (!signals || signals.fundingChecked) continue;
+    const history = identityHistory(buy.wallet, signals.owner, buy.timestamp, buy.tokenId);
+    if (depositCouldTip(scoreWallet(signals, history, buy.timestamp), CONFIG.freshScoreThreshold)) toTrace.push([key, buy]);
+  }
+  await mapLimit(toTrace, CONFIG.lookupConcurrency, ([key, buy]) => {
+    const funding = traceFunding(buy.wallet, buy.blockNumber);
+    prefetched.set(key, { ...prefetched.get(key), funding });
+    return funding.catch(() => {});
+  });
+  
+  return unknown.length + toTrace.length;
+}
+
+/**
+ * Run watched-venue events ([{ event, exchange }]) through processTrade in
+ * chain order, then apply ConditionResolution events. Events applied before
+ * are skipped; returns the ones that weren't.
+ */
+async function applyEvents({ provider, clock }, events, resolutions = []) {
+  const byKey = new Map();
+  for (const item of events) {
+    const key = logKey(item.event);
+    if (!appliedLogs.has(key)) byKey.set(key, item);
+  }
+  const unseen = [...byKey.values()];
+  
+  // Interleave venues in chain order so bets land in the order they happened
+  unseen.sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+  
+  const blockTimes = await clock.getTimestamps([...unseen.map(({ event }) => event.blockNumber), ...resolutions.map(e => e.blockNumber)]);
+  
+  const { pipeline } = stats;
+  pipeline.backlogEvents = unseen.length;
+  try {
+    const started = Date.now();
+    const lookups = await prefetchWallets(provider, unseen, blockTimes);
+    if (lookups) {
+      pipeline.walletLookups += lookups;
+      pipeline.lookupMs = Date.now() - started;
+    }
+    
+    for (const { event, exchange } of unseen) {
+      await processTrade(provider, event, exchange, blockTimes.get(event.blockNumber));
+      markApplied(event);
+      pipeline.backlogEvents--;
+    }
+  } finally {
+    // Whatever wasn't taken belongs to events that didn't get applied
+    prefetched.clear();
+    pipeline.backlogEvents = 0;
+  }
+  applyChainResolutions(resolutions, blockTimes);
+  
+  throughput.record(unseen.length);
+  pipeline.eventsPerSec = Math.round(throughput.perSecond() * 10) / 10;
+  
+  return unseen.map(({ event }) => event);
+}
+
+// Time from the newest event's block timestamp until it was applied
+async function noteLatency(clock, events) {
+  if (!events.length) return;
+  const latency = Date.now() - await clock.getTimestamp(Math.max(...events.map(e => e.blockNumber)));
+  const { ingest } = stats;
+  ingest.latencyMs = latency;
+  ingest.avgLatencyMs = ingest.avgLatencyMs === null ? latency : Math.round(ingest.avgLatencyMs * 0.9 + latency * 0.1);
+  ingest.lastEventAt = Date.now();
+}
+
+/**
+ * Run every watched venue's events in [fromBlock, toBlock] through processTrade,
+ * chunk by chunk. `onChunk(toBlock, events)` runs after each chunk is fully applied.
+ */
+async function scanBlocks(chain, fromBlock, toBlock, chunkSize, onChunk) {
+  const { exchanges, conditionalTokens } = chain;
+
+  while (fromBlock <= toBlock) {
+    const chunkEnd = Math.min(fromBlock + chunkSize - 1, toBlock);
+    stats.pipeline.backlogBlocks = toBlock - fromBlock + 1;
+    
+    // applyEvents puts them back in block and log order
+    const queries = exchanges.flatMap(exchange => VENUE_KINDS[exchange.kind].events.map(async eventName => {
+      const logs = await exchange.contract.queryFilter(eventName, fromBlock, chunkEnd);
+      return logs.map(event => ({ event, exchange }));
+    }));
+    const events = (await Promise.all(queries)).flat();
+    
+    // Resolutions only matter while some alert is waiting on one
+    const resolutions = alerts.some(awaitsResolution)
+      ? await conditionalTokens.queryFilter('ConditionResolution', fromBlock, chunkEnd)
+      : [];
+    
+    await onChunk(chunkEnd, await applyEvents(chain, events, resolutions));
+    
+    fromBlock = chunkEnd + 1;
+  }
+  stats.pipeline.backlogBlocks = 0;
+}
+
+/**
+ * Subscribe to every watched venue's events, and to resolutions, over
+ * CONFIG.wsUrl. Pushed logs are applied in batches through `serially`;
+ * `onApplied(events)` sees each batch, and `onConnect` (see lib/stream.js)
+ * is where the caller scans whatever the socket missed. A batch that fails
+ * to apply is handed back as `onMissed(fromBlock)` for the caller to rescan.
+ */
+function startLogStream(chain, { onHead, onApplied, onMissed, onConnect }) {
+  const { exchanges, conditionalTokens } = chain;
+  const byAddress = new Map(exchanges.map(exchange => [exchange.address.toLowerCase(), exchange]));
+  const resolutionAddress = conditionalTokens.target.toLowerCase();
+  
+  const topics = new Set(exchanges.flatMap(exchange => VENUE_KINDS[exchange.kind].events
+    .map(name => exchange.contract.interface.getEvent(name).topicHash)));
+  topics.add(conditionalTokens.interface.getEvent('ConditionResolution').topicHash);
+  const filter = { address: [...byAddress.keys(), resolutionAddress], topics: [[...topics]] };
+  
+  let pending = [];
+  async function applyPending() {
+    const logs = pending;
+    pending = [];
+    
+    const events = [];
+    const resolutions = [];
+    for (const log of logs) {
+      const address = log.address.toLowerCase();
+      const contract = address === resolutionAddress ? conditionalTokens : byAddress.get(address).contract;
+      const fragment = contract.interface.getEvent(log.topics[0]);
+      if (!fragment) continue;
+      
+      const event = new ethers.EventLog(log, contract.interface, fragment);
+      if (contract === conditionalTokens) resolutions.push(event);
+      else events.push({ event, exchange: byAddress.get(address) });
+    }
+    
+    let applied;
+    try {
+      applied = await applyEvents(chain, events, alerts.some(awaitsResolution) ? resolutions : []);
+    } catch (error) {
+      onMissed(Math.min(...logs.map(log => log.blockNumber)));
+      throw error;
+    }
+    await noteLatency(chain.clock, applied);
+    onApplied(applied);
+    io.emit('stats', stats);
+  }
+  
+  return createLogStream(CONFIG.wsUrl, filter, {
+    onLog(log) {
+      // Logs of a reorged block come back with removed set; the reorg check rolls those back
+      if (log.removed) return;
+      pending.push(log);
+      if (pending.length === 1) {
+        serially(applyPending).catch(error => console.error(`Error applying pushed logs: ${error.message}`));
+      }
+    },
+    onHead,
+    onConnect,
+  }, { network: POLYGON, staleMs: CONFIG.wsStaleMs });
+}
+
 async function startBot() {
   console.log('🤖 Polymarket Fresh Wallet Detection Bot');
   console.log('=========================================');
   console.log(`Dashboard: http://localhost:${CONFIG.port}`);
-  console.log(`RPC: ${CONFIG.rpcUrl}`);
+  console.log(`RPC: ${(CONFIG.rpcUrls.length ? CONFIG.rpcUrls.map(e => e.url) : [CONFIG.rpcUrl]).join(', ')}`);
+  if (CONFIG.wsUrl) console.log(`WebSocket: ${CONFIG.wsUrl}`);
   console.log(`Threshold: ${CONFIG.freshWalletThreshold} fresh wallets`);
   console.log('');
   
-  const provider = new ethers.JsonRpcProvider(CONFIG.rpcUrl);
-  
-  try {
-    const network = await provider.getNetwork();
-    console.log(`Connected to: ${network.name} (chainId: ${network.chainId})`);
-    stats.isConnected = true;
-    io.emit('stats', stats);
-  } catch (error) {
-    console.error('Failed to connect to RPC:', error.message);
-    return;
+  let chain;
+  for (let attempt = 1; !chain; attempt++) {
+    try {
+      chain = await connect();
+    } catch (error) {
+      const delay = Math.min(MAX_RETRY_DELAY_MS, 5000 * 2 ** (attempt - 1));
+      console.error(`Failed to connect to RPC: ${error.message} (retrying in ${Math.round(delay / 1000)}s)`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
+  stats.isConnected = true;
+  io.emit('stats', stats);
   
-  const exchange = new ethers.Contract(
-    CONFIG.ctfExchangeAddress,
-    CTF_EXCHANGE_ABI,
-    provider
-  );
+  const { provider, clock } = chain;
   
   const currentBlock = await provider.getBlockNumber();
-  let lastProcessedBlock = currentBlock - CONFIG.startBlocksBack;
+  const savedBlock = store.getMeta('lastProcessedBlock');
+  let lastProcessedBlock = savedBlock !== null ? savedBlock : currentBlock - CONFIG.startBlocksBack;
   stats.lastBlock = currentBlock;
+  stats.processedBlock = lastProcessedBlock;
+  
+  if (savedBlock !== null) {
+    console.log(`Resuming from saved block: ${lastProcessedBlock} (${alerts.length} alerts, ${betsByOutcome.size + allBetsByOutcome.size} tracked outcomes)`);
+  } else {
+    console.log(`Starting from block: ${lastProcessedBlock}`);
+  }
   
-  console.log(`Starting from block: ${lastProcessedBlock}`);
+  // Restored bets can only be grouped once their markets have been looked up
+  if (CONFIG.detectionScope !== 'outcome') {
+    for (const tokenId of new Set([...betsByOutcome.keys(), ...allBetsByOutcome.keys()])) {
+      await getMarketInfo(tokenId);
+    }
+  }
   console.log('Listening for trades...\n');
   
+  const reorgs = createReorgTracker({ confirmations: CONFIG.confirmations, saved: store.getMeta('reorgTracker') });
+  let failures = 0;
+  
+  function setCursor(blockNumber) {
+    lastProcessedBlock = blockNumber;
+    stats.processedBlock = blockNumber;
+    store.setMeta('lastProcessedBlock', blockNumber);
+  }
+  
+  // Only blocks that can still be replaced need their hash kept
+  function recordHashes(events, head) {
+    for (const event of events) {
+      if (event.blockNumber > head - CONFIG.confirmations) reorgs.record(event.blockNumber, event.blockHash);
+    }
+  }
+  
+  // Scan (lastProcessedBlock, toBlock] with getLogs; `measure` counts it towards latency
+  async function scanTo(toBlock, { measure }) {
+    const chunkSize = toBlock - lastProcessedBlock > CONFIG.catchUpChunkSize ? CONFIG.catchUpChunkSize : CONFIG.scanChunkSize;
+    await scanBlocks(chain, lastProcessedBlock + 1, toBlock, chunkSize, async (chunkEnd, events) => {
+      recordHashes(events, toBlock);
+      if (chunkEnd > toBlock - CONFIG.confirmations) reorgs.record(chunkEnd, (await provider.getBlock(chunkEnd)).hash);
+      if (measure && chunkEnd === toBlock) await noteLatency(clock, events);
+      
+      // Save the cursor per chunk so a crash mid-range doesn't replay it
+      setCursor(chunkEnd);
+    });
+  }
+  
+  // Newest head the subscription announced; everything before it has been pushed
+  let streamHead = 0;
+  // Oldest block of pushed logs that failed to apply, for the next round to rescan
+  let rescanFrom = null;
+  if (CONFIG.wsUrl) {
+    stats.ingest.mode = 'websocket';
+    logStream = startLogStream(chain, {
+      onHead(blockNumber) {
+        streamHead = blockNumber;
+        stats.lastBlock = Math.max(stats.lastBlock, blockNumber);
+        // Logs queued before this head are applied by the time this runs
+        serially(() => {
+          stats.processedBlock = Math.max(stats.processedBlock, blockNumber - 1);
+        });
+      },
+      onApplied: events => recordHashes(events, streamHead),
+      onMissed(blockNumber) {
+        rescanFrom = Math.min(rescanFrom ?? blockNumber, blockNumber);
+      },
+      // Whatever happened while the socket was down comes in through the regular scan
+      onConnect: ({ head, reconnect }) => serially(async () => {
+        streamHead = Math.max(streamHead, head);
+        if (reconnect) {
+          stats.ingest.gapFills++;
+          console.log(`🔌 WebSocket reconnected, filling blocks ${lastProcessedBlock + 1} → ${head}`);
+        } else {
+          console.log('🔌 Subscribed to fills over WebSocket');
+        }
+        if (head > lastProcessedBlock) await scanTo(head, { measure: false });
+      }),
+    });
+  }
+  
   while (true) {
     try {
-      const latestBlock = await provider.getBlockNumber();
-      stats.lastBlock = latestBlock;
-      
-      if (latestBlock > lastProcessedBlock) {
-        const CHUNK_SIZE = 10;
-        let fromBlock = lastProcessedBlock + 1;
+      await serially(async () => {
+        const latestBlock = await provider.getBlockNumber();
+        stats.lastBlock = latestBlock;
         
-        while (fromBlock <= latestBlock) {
-          const toBlock = Math.min(fromBlock + CHUNK_SIZE - 1, latestBlock);
-          
-          const events = await exchange.queryFilter('OrderFilled', fromBlock, toBlock);
-          
-          for (const event of events) {
-            await processTrade(provider, event);
-          }
-          
-          fromBlock = toBlock + 1;
-          await new Promise(resolve => setTimeout(resolve, 100));
+        // Blocks scanned before the head moved on may have been replaced since
+        const forkBlock = await reorgs.check(provider);
+        if (forkBlock !== null && forkBlock <= lastProcessedBlock) {
+          const dropped = rollbackFrom(forkBlock);
+          stats.reorgs++;
+          setCursor(forkBlock - 1);
+          console.log(`⛓️  Reorg from block ${forkBlock}: rolled back ${dropped.bets} bets, ${dropped.fills} fills and ${dropped.exits} exit alerts, rescanning`);
         }
         
-        lastProcessedBlock = latestBlock;
-      }
-      
-      cleanupOldBets();
-      io.emit('stats', stats);
+        // Logs already applied from a failed batch are skipped by applyEvents
+        const rescan = rescanFrom !== null;
+        if (rescan) {
+          if (rescanFrom <= lastProcessedBlock) setCursor(rescanFrom - 1);
+          rescanFrom = null;
+        }
+        
+        if (logStream && logStream.status().connected && forkBlock === null && !rescan) {
+          // The subscription pushed everything before its head; a reorg there
+          // pushes the new chain's logs too, so no chunk hashes are needed
+          const pushedThrough = Math.min(latestBlock, streamHead - 1);
+          if (pushedThrough > lastProcessedBlock) setCursor(pushedThrough);
+        } else if (latestBlock > lastProcessedBlock) {
+          // Polling, or the socket is down and nothing else would notice new blocks
+          await scanTo(latestBlock, { measure: !logStream });
+        }
+        stats.finalizedBlock = reorgs.finalize(latestBlock);
+        store.setMeta('reorgTracker', reorgs.state());
+        forgetAppliedLogs(stats.finalizedBlock);
+        
+        cleanupOldBets(await clock.getTimestamp(latestBlock));
+        await refreshAlertPrices();
+        await checkResolutions();
+        stats.isConnected = true;
+        stats.lastPollAt = Date.now();
+        io.emit('stats', stats);
+      });
+      failures = 0;
       
     } catch (error) {
-      console.error(`Error: ${error.message}`);
+      // The pool already failed over between endpoints; back off before the next round
+      failures++;
+      console.error(`Error: ${error.message}${failures > 1 ? ` (${failures} in a row)` : ''}`);
+      if (stats.isConnected && (failures >= MAX_POLL_FAILURES || !rpcPool.status().some(e => e.healthy))) {
+        stats.isConnected = false;
+        io.emit('stats', stats);
+        console.error('🔌 Marked disconnected until a poll succeeds again');
+      }
+    }
+    
+    const delay = failures ? Math.min(MAX_RETRY_DELAY_MS, CONFIG.pollIntervalMs * 2 ** (failures - 1)) : CONFIG.pollIntervalMs;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Run the live pipeline over a historical block or date range, writing to its
+ * own run, and record a summary of the alerts that would have fired.
+ */
+async function runReplay(options) {
+  const { runId } = options;
+  console.log(`⏪ Replay ${runId}`);
+  
+  if (!store.getRun(runId)) store.createRun(runId, options);
+  
+  try {
+    const chain = await connect();
+    const { provider, clock } = chain;
+    const headBlock = await provider.getBlockNumber();
+    
+    const fromBlock = options.fromBlock !== null ? options.fromBlock
+      : options.fromDate ? await clock.findBlock(Date.parse(options.fromDate), headBlock)
+      : null;
+    const toBlock = options.toBlock !== null ? options.toBlock
+      : options.toDate ? await clock.findLastBlock(Date.parse(options.toDate), headBlock)
+      : headBlock;
+    
+    if (fromBlock === null || Number.isNaN(fromBlock) || Number.isNaN(toBlock) || fromBlock > toBlock) {
+      throw new Error('Replay needs a valid range: --from-block or --from-date, optionally --to-block or --to-date');
     }
     
-    await new Promise(resolve => setTimeout(resolve, CONFIG.pollIntervalMs));
+    console.log(`Replaying blocks ${fromBlock} → ${toBlock} (${toBlock - fromBlock + 1} blocks)\n`);
+    
+    await scanBlocks(chain, fromBlock, toBlock, CONFIG.replayChunkSize, async chunkEnd => {
+      // Expire bets against the replayed chain time, exactly like the live loop
+      cleanupOldBets(await clock.getTimestamp(chunkEnd));
+      await refreshAlertPrices();
+      forgetAppliedLogs(chunkEnd);
+      stats.lastBlock = chunkEnd;
+      stats.processedBlock = chunkEnd;
+    });
+    
+    // Markets replayed from the past have usually resolved since, which is
+    // what makes a replay a backtest of the detector
+    await checkResolutions(true);
+    
+    const [fromTime, toTime] = await Promise.all([clock.getTimestamp(fromBlock), clock.getTimestamp(toBlock)]);
+    const summary = {
+      fromBlock,
+      toBlock,
+      fromTime,
+      toTime,
+      totalTrades: stats.totalTrades,
+      freshWalletsDetected: stats.freshWalletsDetected,
+      alerts: alerts.slice().reverse().map(a => ({
+        id: a.id,
+        alertType: a.alertType,
+        venue: a.venue,
+        outcomeId: a.outcomeId,
+        question: a.question,
+        outcome: a.outcome,
+        wallets: a.alertType === 'fresh' ? a.freshWallets : a.alertType === 'exit' ? a.exitingWallets : a.walletCount,
+        totalAmount: a.totalAmount,
+        suspicionScore: a.suspicionScore,
+        resolution: a.resolution || null,
+        timestamp: a.timestamp,
+      })),
+      report: precisionReport(alerts),
+    };
+    
+    store.finishRun(runId, 'completed', summary);
+    
+    console.log('\n' + '='.repeat(80));
+    console.log(`⏪ Replay ${runId} finished: ${summary.alerts.length} alerts would have fired`);
+    console.log(`   ${new Date(fromTime).toISOString()} → ${new Date(toTime).toISOString()}, ${summary.totalTrades} trades`);
+    console.log('='.repeat(80));
+    summary.alerts.forEach((a, i) => {
+      console.log(`${i + 1}. [${a.alertType.toUpperCase()}] ${new Date(a.timestamp).toISOString()} ${a.question} - ${a.outcome}`);
+      console.log(`   ${a.wallets} wallets, $${(a.totalAmount || 0).toFixed(2)}`);
+    });
+    const { resolved, hits, hitRate, avgCopyReturn } = summary.report;
+    if (resolved) {
+      console.log(`\n🎯 ${hits}/${resolved} resolved alerts hit (${(hitRate * 100).toFixed(0)}%)` +
+        (avgCopyReturn !== null ? `, average copy return ${(avgCopyReturn * 100).toFixed(1)}%` : ''));
+    }
+    return summary;
+  } catch (error) {
+    store.finishRun(runId, 'failed', { error: error.message });
+    throw error;
   }
 }
 
@@ -1602,7 +4315,30 @@ async function startBot() {
 // START
 // ============================================================================
 
-server.listen(CONFIG.port, () => {
-  console.log(`\n🌐 Dashboard running at http://localhost:${CONFIG.port}\n`);
-  startBot();
-});
+// better-sqlite3 writes synchronously, so closing the handle is all that's needed
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    store.close();
+    process.exit(0);
+  });
+}
+
+if (REPLAY) {
+  runReplay(REPLAY)
+    .then(() => {
+      store.close();
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`Replay failed: ${error.message}`);
+      store.close();
+      process.exit(1);
+    });
+} else {
+  server.listen(CONFIG.port, () => {
+    console.log(`\n🌐 Dashboard running at http://localhost:${CONFIG.port}\n`);
+    if (CONFIG.file) console.log(`Config: ${CONFIG.file} (watching for changes)`);
+    watchConfig(CONFIG, { rootDir: __dirname }, onConfigReload);
+    startBot();
+  });
+}
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBaselines } = require('../lib/baseline');
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.UTC(2025, 0, 1);
+
+function buy(baselines, hour, wallet, extra = {}) {
+  baselines.record('t1', start + hour * HOUR + 60000, { wallet, usdc: 100, shares: 200, fresh: null, txHash: `0x${wallet}`, ...extra });
+}
+
+test('snapshot compares the open hour with earlier ones, quiet hours included', () => {
+  const baselines = createBaselines();
+  buy(baselines, 0, 'a');
+  buy(baselines, 0, 'b');
+  // hour 1 has no buys at all
+  for (const wallet of ['c', 'd', 'e', 'f', 'g', 'h']) buy(baselines, 2, wallet);
+
+  const snapshot = baselines.snapshot('t1', start + 2 * HOUR + 120000, { windowMs: 24 * HOUR });
+  assert.equal(snapshot.hours, 2);
+  assert.equal(snapshot.current.wallets, 6);
+  assert.deepEqual(snapshot.baseline.wallets, { mean: 1, std: 1 });
+  assert.equal(snapshot.z.wallets, 5);
+  assert.equal(snapshot.percentile.wallets, 1);
+  assert.equal(snapshot.current.avgPrice, 0.5);
+});
+
+test('snapshot is null without a current hour or anything to compare with', () => {
+  const baselines = createBaselines();
+  assert.equal(baselines.snapshot('t1', start, { windowMs: 24 * HOUR }), null);
+
+  buy(baselines, 0, 'a');
+  assert.equal(baselines.snapshot('t1', start + 120000, { windowMs: 24 * HOUR }), null);
+  assert.equal(baselines.snapshot('t1', start + 3 * HOUR, { windowMs: 24 * HOUR }), null);
+});
+
+test('a steady outcome still needs the minimum spread to stand out', () => {
+  const baselines = createBaselines();
+  for (let hour = 0; hour < 3; hour++) buy(baselines, hour, `w${hour}`);
+  buy(baselines, 3, 'x');
+  buy(baselines, 3, 'y');
+
+  const snapshot = baselines.snapshot('t1', start + 3 * HOUR + 120000, { windowMs: 24 * HOUR });
+  assert.equal(snapshot.baseline.wallets.std, 0);
+  assert.equal(snapshot.z.wallets, 1);
+});
+
+test('a wallet counts once per hour and its first freshness answer wins', () => {
+  const baselines = createBaselines();
+  buy(baselines, 0, 'a', { fresh: true });
+  buy(baselines, 0, 'A', { usdc: 50 });
+  baselines.setFreshness('t1', 'a', false);
+  buy(baselines, 0, 'b');
+  baselines.setFreshness('t1', 'b', false);
+
+  const [first, second] = baselines.currentWallets('t1');
+  assert.equal(first.amount, 150);
+  assert.equal(first.fresh, true);
+  assert.equal(second.fresh, false);
+
+  buy(baselines, 1, 'c');
+  const snapshot = baselines.snapshot('t1', start + HOUR + 120000, { windowMs: 24 * HOUR });
+  assert.equal(snapshot.baseline.freshShare.mean, 0.5);
+  assert.equal(snapshot.baseline.avgTicket.mean, 250 / 3);
+});
+
+test('late fills for a closed hour are dropped and prune forgets old hours', () => {
+  const baselines = createBaselines();
+  buy(baselines, 1, 'a');
+  buy(baselines, 0, 'late');
+  assert.deepEqual(baselines.currentWallets('t1').map(w => w.address), ['a']);
+
+  baselines.prune(start + 2 * HOUR);
+  assert.deepEqual(baselines.currentWallets('t1'), []);
+});
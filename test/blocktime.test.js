@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBlockClock } = require('../lib/blocktime');
+
+// Blocks 0..20, two seconds apart
+const provider = {
+  async getBlock(n) {
+    return n <= 20 ? { number: n, timestamp: n * 2 } : null;
+  },
+};
+
+test('findBlock returns the first block at or after the time', async () => {
+  const clock = createBlockClock(provider);
+  assert.equal(await clock.findBlock(10000, 20), 5);
+  assert.equal(await clock.findBlock(11000, 20), 6);
+});
+
+test('findLastBlock returns the last block at or before the time', async () => {
+  const clock = createBlockClock(provider);
+  assert.equal(await clock.findLastBlock(10000, 20), 5);
+  assert.equal(await clock.findLastBlock(11000, 20), 5);
+  assert.equal(await clock.findLastBlock(99000, 20), 20);
+  assert.equal(await clock.findLastBlock(-1, 20), -1);
+});
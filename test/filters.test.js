@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules, firstMatch } = require('../lib/filters');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2025, 0, 1);
+const market = {
+  question: 'Will BTC close above $100k?',
+  slug: 'btc-100k',
+  eventSlug: 'btc-price',
+  conditionId: '0xABC',
+  category: 'Crypto',
+  tags: [{ label: 'Bitcoin', slug: 'bitcoin' }],
+  endDate: now + 2 * DAY,
+  liquidity: 50000,
+  volume: 250000,
+};
+
+test('the first matching rule decides', () => {
+  const rules = compileRules([
+    { name: 'keep btc', action: 'allow', slugs: ['BTC-100K'] },
+    { action: 'deny', tags: ['crypto'] },
+  ]);
+  assert.equal(firstMatch(rules, market, 'fresh', now).name, 'keep btc');
+  assert.equal(firstMatch(rules.slice(1), market, 'fresh', now).name, 'rule 2');
+});
+
+test('every condition a rule sets has to hold; any list entry will do', () => {
+  const [rule] = compileRules([{ action: 'deny', question: ['^nope', 'btc'], conditionIds: ['0xabc'], alertTypes: ['volume'] }]);
+  assert.equal(firstMatch([rule], market, 'volume', now), rule);
+  assert.equal(firstMatch([rule], market, 'fresh', now), null);
+});
+
+test('empty lists count as unset', () => {
+  const rules = compileRules([{ action: 'deny', tags: [], slugs: [], question: [] }]);
+  assert.equal(firstMatch(rules, market, 'fresh', now).name, 'rule 1');
+});
+
+test('tags match Gamma labels, slugs or the category', () => {
+  for (const tag of ['bitcoin', 'BITCOIN', 'crypto']) {
+    assert.ok(firstMatch(compileRules([{ action: 'deny', tags: [tag] }]), market, 'fresh', now), tag);
+  }
+  assert.equal(firstMatch(compileRules([{ action: 'deny', tags: ['sports'] }]), market, 'fresh', now), null);
+});
+
+test('bounds compare against the alert time and Gamma numbers', () => {
+  const match = rule => firstMatch(compileRules([{ action: 'deny', ...rule }]), market, 'fresh', now);
+  assert.ok(match({ endsWithinMs: 3 * DAY }));
+  assert.equal(match({ endsWithinMs: DAY }), null);
+  assert.ok(match({ endsAfterMs: DAY }));
+  assert.ok(match({ minLiquidity: 10000, maxVolume: 250000 }));
+  assert.equal(match({ maxLiquidity: 10000 }), null);
+});
+
+test('missing market data never satisfies a bound', () => {
+  const rules = compileRules([{ action: 'deny', endsWithinMs: DAY }, { action: 'deny', minLiquidity: 0 }]);
+  assert.equal(firstMatch(rules, { ...market, endDate: null, liquidity: undefined }, 'fresh', now), null);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyFreshness, depositCouldTip } = require('../lib/freshness');
+
+const DAY = 24 * 60 * 60 * 1000;
+const options = { maxTxCount: 5, maxAgeMs: 7 * DAY, threshold: 60 };
+const tradeAt = Date.UTC(2025, 0, 10);
+
+test('a new EOA with a recent first deposit and no history scores fresh', () => {
+  const result = classifyFreshness({ kind: 'eoa', txCount: 1, depositChecked: true, depositAt: tradeAt - DAY, priorFills: 0 }, tradeAt, options);
+  assert.deepEqual(result, { score: 100, isFresh: true, reasons: ['LOW_NONCE', 'NEW_DEPOSIT', 'NO_PRIOR_FILLS'] });
+});
+
+test('a proxy wallet is judged by its owner, or not at all when the owner is unknown', () => {
+  const owned = classifyFreshness({ kind: 'contract', txCount: 0, ownerTxCount: 50, priorFills: 0 }, tradeAt, options);
+  assert.deepEqual(owned.reasons, ['OWNER_HIGH_NONCE', 'NO_PRIOR_FILLS']);
+  assert.equal(owned.score, 0);
+
+  const unknown = classifyFreshness({ kind: 'contract', txCount: 0, ownerTxCount: null, priorFills: 0 }, tradeAt, options);
+  assert.deepEqual(unknown.reasons, ['CONTRACT_WALLET', 'NO_PRIOR_FILLS']);
+  assert.equal(unknown.score, 20);
+});
+
+test('earlier fills count against a wallet, the more so the longer ago they started', () => {
+  const signals = { kind: 'eoa', txCount: 1, priorFills: 3 };
+  const recent = classifyFreshness({ ...signals, firstSeenAt: tradeAt - DAY }, tradeAt, options);
+  const established = classifyFreshness({ ...signals, firstSeenAt: tradeAt - 30 * DAY }, tradeAt, options);
+  assert.equal(recent.reasons.at(-1), 'PRIOR_FILLS');
+  assert.equal(established.reasons.at(-1), 'ESTABLISHED_TRADER');
+  assert.equal(established.score, 0);
+});
+
+test('an unchecked deposit does not count until it is looked up', () => {
+  const result = classifyFreshness({ kind: 'eoa', txCount: 1, depositChecked: false, priorFills: 0 }, tradeAt, options);
+  assert.equal(result.score, 60);
+  assert.deepEqual(result.reasons, ['LOW_NONCE', 'NO_PRIOR_FILLS']);
+
+  const old = classifyFreshness({ kind: 'eoa', txCount: 1, depositChecked: true, depositAt: tradeAt - 30 * DAY, priorFills: 0 }, tradeAt, options);
+  assert.equal(old.isFresh, false);
+  const none = classifyFreshness({ kind: 'eoa', txCount: 1, depositChecked: true, depositAt: null, priorFills: 0 }, tradeAt, options);
+  assert.equal(none.reasons[1], 'NO_DEPOSIT');
+});
+
+test('depositCouldTip tells whether a recent deposit would reach the threshold', () => {
+  assert.equal(depositCouldTip({ score: 20 }, 60), true);
+  assert.equal(depositCouldTip({ score: 19 }, 60), false);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createFundingResolver } = require('../lib/funding');
+
+const USDC = '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359';
+const erc20 = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+const wallet = '0x00000000000000000000000000000000000000aa';
+const funder = n => ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+
+// Provider with USDC deposits to `wallet` at the given blocks; `maxRange`
+// rejects wider getLogs ranges the way public RPCs do
+function chain(deposits, { maxRange = Infinity } = {}) {
+  const ranges = [];
+  return {
+    ranges,
+    async getLogs({ address, fromBlock, toBlock }) {
+      if (toBlock - fromBlock + 1 > maxRange) throw new Error('query exceeds max block range 1000');
+      if (!Array.isArray(address)) return [];
+      ranges.push([fromBlock, toBlock]);
+      return deposits.filter(block => block >= fromBlock && block <= toBlock).map(block => ({
+        address: USDC,
+        blockNumber: block,
+        index: 0,
+        transactionHash: ethers.zeroPadValue(ethers.toBeHex(block), 32),
+        ...erc20.encodeEventLog('Transfer', [funder(block), wallet, 5000000n]),
+      }));
+    },
+  };
+}
+
+const options = { lookbackBlocks: 20000, chunkBlocks: 1000 };
+
+test('a deposit older than an empty window is still the first funding', async () => {
+  const provider = chain([3500, 18200]);
+  const funding = await createFundingResolver(provider, options).resolve(wallet, { beforeBlock: 20000 });
+
+  assert.equal(funding.block, 3500);
+  assert.equal(funding.funder, funder(3500));
+  assert.equal(funding.amount, 5);
+  assert.equal(funding.source, 'rpc');
+  // Every window down to the lookback was scanned
+  assert.equal(provider.ranges.at(-1)[0], 0);
+});
+
+test('maxEmptyWindows ends the search early on purpose', async () => {
+  const provider = chain([3500, 18200]);
+  const resolver = createFundingResolver(provider, { ...options, maxEmptyWindows: 2 });
+
+  assert.equal((await resolver.resolve(wallet, { beforeBlock: 20000 })).block, 18200);
+  assert.deepEqual(provider.ranges.at(-1), [16001, 17000]);
+});
+
+test('a rejected range is halved until the provider accepts it', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const provider = chain([3500], { maxRange: 300 });
+  const resolver = createFundingResolver(provider, { ...options, lookbackBlocks: 5000 });
+
+  assert.equal((await resolver.resolve(wallet, { beforeBlock: 5000 })).block, 3500);
+  assert.ok(provider.ranges.every(([from, to]) => to - from + 1 <= 250));
+  assert.equal(console.warn.mock.callCount(), 2);
+
+  // The smaller window sticks for later traces
+  provider.ranges.length = 0;
+  await resolver.resolve(wallet, { beforeBlock: 5000 });
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('other getLogs errors fail the lookup', async t => {
+  t.mock.method(console, 'error', () => {});
+  const provider = { getLogs: async () => { throw new Error('connection reset'); } };
+
+  assert.equal(await createFundingResolver(provider, options).resolve(wallet, { beforeBlock: 20000 }), null);
+  assert.match(console.error.mock.calls[0].arguments[0], /connection reset/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistogram, createExposition, samplesBy } = require('../lib/metrics');
+
+test('histogram buckets are cumulative', () => {
+  const histogram = createHistogram([0.1, 1]);
+  for (const value of [0.05, 0.5, 5]) histogram.observe(value);
+  assert.deepEqual(histogram.snapshot(), { buckets: [[0.1, 1], [1, 2]], sum: 5.55, count: 3 });
+});
+
+test('exposition renders counters, labelled gauges and histograms', () => {
+  const exposition = createExposition('bot');
+  exposition.counter('trades_total', 'Trades seen', 3);
+  exposition.gauge('endpoint_up', 'Endpoint health', samplesBy('endpoint', { 'a "quoted"\nhost': 1, b: NaN }));
+  exposition.histogram('rpc_seconds', 'RPC latency', [{ labels: { method: 'eth_call' }, ...createHistogram([1]).snapshot() }]);
+
+  assert.equal(exposition.text(), [
+    '# HELP bot_trades_total Trades seen',
+    '# TYPE bot_trades_total counter',
+    'bot_trades_total 3',
+    '# HELP bot_endpoint_up Endpoint health',
+    '# TYPE bot_endpoint_up gauge',
+    'bot_endpoint_up{endpoint="a \\"quoted\\"\\nhost"} 1',
+    'bot_endpoint_up{endpoint="b"} NaN',
+    '# HELP bot_rpc_seconds RPC latency',
+    '# TYPE bot_rpc_seconds histogram',
+    'bot_rpc_seconds_bucket{method="eth_call",le="1"} 0',
+    'bot_rpc_seconds_bucket{method="eth_call",le="+Inf"} 0',
+    'bot_rpc_seconds_sum{method="eth_call"} 0',
+    'bot_rpc_seconds_count{method="eth_call"} 0',
+    '',
+  ].join('\n'));
+});
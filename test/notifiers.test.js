@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier } = require('../lib/notifiers');
+
+const alert = { id: 1, alertType: 'fresh', question: 'Will it rain?', outcome: 'Yes', freshWallets: 10, totalAmount: 15000, suspicionScore: 80, timestamp: 0 };
+
+// Record every request; Discord answers a send with the new message
+function stubFetch(t) {
+  const requests = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    requests.push({ url, method: init.method, body: JSON.parse(init.body) });
+    return new Response(JSON.stringify({ id: 'm1' }));
+  });
+  return requests;
+}
+
+const discord = { type: 'discord', url: 'https://discord.com/api/webhooks/1/abc?thread_id=42', sendUpdates: true, retries: 0 };
+
+test('Discord webhook URLs keep their own query string', async t => {
+  const requests = stubFetch(t);
+  const notifier = createNotifier([{ ...discord, updateIntervalMs: 0 }]);
+
+  await notifier.notify(alert);
+  await notifier.notifyUpdate({ ...alert, freshWallets: 12 });
+  assert.deepEqual(requests.map(r => [r.method, r.url]), [
+    ['POST', 'https://discord.com/api/webhooks/1/abc?thread_id=42&wait=true'],
+    ['PATCH', 'https://discord.com/api/webhooks/1/abc/messages/m1?thread_id=42'],
+  ]);
+});
+
+test('forget sends the update still held for an alert and stops tracking it', async t => {
+  const requests = stubFetch(t);
+  const notifier = createNotifier([{ ...discord, updateIntervalMs: 60 * 60 * 1000 }]);
+
+  await notifier.notify(alert);
+  await notifier.notifyUpdate({ ...alert, freshWallets: 12 });
+  assert.equal(requests.length, 1);
+
+  await notifier.forget({ ...alert, freshWallets: 12 });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].body.embeds[0].fields.find(f => f.name === 'Wallets').value, '12');
+
+  await notifier.notifyUpdate({ ...alert, freshWallets: 14 });
+  assert.equal(requests.length, 2);
+});
+
+test('alerts without a follow-up for retainMs are dropped', async t => {
+  const requests = stubFetch(t);
+  const notifier = createNotifier([{ ...discord, updateIntervalMs: 0 }], { retainMs: 0 });
+
+  await notifier.notify(alert);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await notifier.notify({ ...alert, id: 2 });
+  await notifier.notifyUpdate({ ...alert, freshWallets: 12 });
+  assert.equal(requests.filter(r => r.method === 'PATCH').length, 0);
+});
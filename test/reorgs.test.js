@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReorgTracker } = require('../lib/reorgs');
+
+// Provider whose chain is a blockNumber → hash map
+function chain(hashes) {
+  return {
+    calls: 0,
+    async getBlock(n) {
+      this.calls++;
+      return hashes[n] ? { number: n, hash: hashes[n] } : null;
+    },
+  };
+}
+
+test('check returns null while every kept hash still matches', async () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.record(100, '0xa');
+  tracker.record(101, '0xb');
+
+  assert.equal(await tracker.check(chain({ 100: '0xa', 101: '0xb' })), null);
+  assert.deepEqual(tracker.state().blocks, [[100, '0xa'], [101, '0xb']]);
+});
+
+test('check rolls back from after the last block that still matches', async () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.record(100, '0xa');
+  tracker.record(103, '0xb');
+  tracker.record(105, '0xc');
+
+  assert.equal(await tracker.check(chain({ 100: '0xa', 103: '0xb2', 105: '0xc2' })), 101);
+  // Replaced blocks are forgotten; the rescan records them again
+  assert.deepEqual(tracker.state().blocks, [[100, '0xa']]);
+});
+
+test('check treats a block the chain no longer has as replaced', async () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.record(100, '0xa');
+  tracker.record(101, '0xb');
+
+  assert.equal(await tracker.check(chain({ 100: '0xa' })), 101);
+});
+
+test('check rolls back from just after the finalized block when the oldest kept hash changed', async () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.finalize(100);
+  tracker.record(95, '0xa');
+
+  assert.equal(await tracker.check(chain({ 95: '0xa2' })), 91);
+});
+
+test('finalize forgets blocks that are confirmations deep and never goes back', () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.record(100, '0xa');
+  tracker.record(105, '0xb');
+
+  assert.equal(tracker.finalize(112), 102);
+  assert.deepEqual(tracker.state(), { finalized: 102, blocks: [[105, '0xb']] });
+
+  // A lagging head doesn't move finality backwards
+  assert.equal(tracker.finalize(100), 102);
+  assert.equal(tracker.finalized, 102);
+});
+
+test('record ignores finalized blocks and missing hashes', async () => {
+  const tracker = createReorgTracker({ confirmations: 10 });
+  tracker.finalize(110);
+  tracker.record(100, '0xa');
+  tracker.record(101, null);
+
+  const provider = chain({});
+  assert.equal(await tracker.check(provider), null);
+  assert.equal(provider.calls, 0);
+});
+
+test('a restored tracker still catches a reorg from before the restart', async () => {
+  const before = createReorgTracker({ confirmations: 10 });
+  before.record(100, '0xa');
+  before.record(101, '0xb');
+  before.finalize(105);
+
+  const after = createReorgTracker({ confirmations: 10, saved: before.state() });
+  assert.equal(after.finalized, 95);
+  assert.equal(await after.check(chain({ 100: '0xa', 101: '0xb2' })), 101);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createProviderPool } = require('../lib/rpc');
+
+const network = ethers.Network.from(137);
+
+// JSON-RPC results for every call in a payload, single or batched
+function reply(payload, result, init) {
+  const body = Array.isArray(payload)
+    ? payload.map(call => ({ jsonrpc: '2.0', id: call.id, result }))
+    : { jsonrpc: '2.0', id: payload.id, result };
+  return new Response(JSON.stringify(body), { headers: { 'content-type': 'application/json' }, ...init });
+}
+
+// Route fetch by endpoint URL to `(payload) => Response`; returns the URLs hit in order
+function stubFetch(t, handlers) {
+  const hits = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    hits.push(url);
+    return handlers[url](JSON.parse(init.body));
+  });
+  return hits;
+}
+
+// Endpoint a is always picked first while it is available
+function pool(t, endpoints, options = {}) {
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.method(console, 'warn', () => {});
+  const created = createProviderPool(endpoints, { network, ...options });
+  t.after(() => {
+    created.stop();
+    created.provider.destroy();
+  });
+  return created;
+}
+
+const endpoints = [{ url: 'http://a.test/' }, { url: 'http://b.test/' }];
+const statusOf = (status, label) => status.find(e => e.label === label);
+
+test('a rate-limited endpoint backs off and the request fails over', async t => {
+  const hits = stubFetch(t, {
+    'http://a.test/': () => new Response('slow down', { status: 429, headers: { 'retry-after': '30' } }),
+    'http://b.test/': payload => reply(payload, '0x10'),
+  });
+  const { provider, status } = pool(t, endpoints);
+
+  assert.equal(await provider.send('eth_blockNumber', []), '0x10');
+  assert.deepEqual(hits, ['http://a.test/', 'http://b.test/']);
+
+  const a = statusOf(status(), 'a.test');
+  assert.equal(a.backingOff, true);
+  assert.equal(a.rateLimited, 1);
+  assert.equal(statusOf(status(), 'b.test').errors, 0);
+
+  // Still backing off, so the next request goes straight to b
+  await provider.send('eth_blockNumber', []);
+  assert.deepEqual(hits.slice(2), ['http://b.test/']);
+});
+
+test('a rate-limit error inside the JSON-RPC response counts as a rate limit', async t => {
+  stubFetch(t, {
+    'http://a.test/': payload => new Response(JSON.stringify([].concat(payload).map(call => ({
+      jsonrpc: '2.0', id: call.id, error: { code: -32005, message: 'limit exceeded' },
+    })))),
+    'http://b.test/': payload => reply(payload, '0x11'),
+  });
+  const { provider, status } = pool(t, endpoints);
+
+  assert.equal(await provider.send('eth_blockNumber', []), '0x11');
+  assert.equal(statusOf(status(), 'a.test').rateLimited, 1);
+});
+
+test('the request fails once every endpoint has failed', async t => {
+  stubFetch(t, {
+    'http://a.test/': () => new Response('', { status: 502 }),
+    'http://b.test/': () => new Response('not json'),
+  });
+  const { provider } = pool(t, endpoints);
+
+  await assert.rejects(provider.send('eth_blockNumber', []), /All RPC endpoints failed, last: invalid JSON response/);
+});
+
+test('backoff doubles with each failure up to maxBackoffMs and resets on success', async t => {
+  let up = false;
+  stubFetch(t, {
+    'http://a.test/': payload => (up ? reply(payload, '0x1') : new Response('', { status: 500 })),
+  });
+  const { provider, checkHealth } = pool(t, [{ url: 'http://a.test/' }], { baseBackoffMs: 1000, maxBackoffMs: 3000 });
+
+  for (let i = 0; i < 3; i++) await checkHealth();
+  const delays = console.warn.mock.calls.map(call => call.arguments[0].match(/backing off (\d+)s/)[1]);
+  assert.deepEqual(delays, ['1', '2', '3']);
+
+  // Wait out the capped backoff, then a success starts the doubling over
+  up = true;
+  assert.equal(await provider.send('eth_blockNumber', []), '0x1');
+  up = false;
+  await checkHealth();
+  assert.match(console.warn.mock.calls.at(-1).arguments[0], /backing off 1s/);
+});
+
+test('an endpoint lagging behind the best head is passed over for a healthy one', async t => {
+  const heads = { 'http://a.test/': '0x50', 'http://b.test/': '0x64' };
+  const hits = stubFetch(t, {
+    'http://a.test/': payload => reply(payload, heads['http://a.test/']),
+    'http://b.test/': payload => reply(payload, heads['http://b.test/']),
+  });
+  const { provider, status, checkHealth } = pool(t, endpoints, { maxLagBlocks: 10 });
+
+  await checkHealth();
+  assert.equal(statusOf(status(), 'a.test').healthy, false);
+  assert.equal(statusOf(status(), 'a.test').head, 0x50);
+  assert.equal(statusOf(status(), 'b.test').healthy, true);
+
+  hits.length = 0;
+  await provider.send('eth_blockNumber', []);
+  assert.deepEqual(hits, ['http://b.test/']);
+});